@@ -1,17 +1,22 @@
 #!/usr/bin/env node
 
 import { JiraScraper } from './services/scraper.js';
+import { JiraClient } from './services/jira-client.js';
+import { FieldMapper } from './services/field-mapper.js';
 import { TextFormatter } from './transformers/text-formatter.js';
-import { DatabaseService } from './services/database.js';
+import { createDatabase } from './services/storage/index.js';
 import { logger } from './utils/logger.js';
+import { getSource } from './config/sources.js';
 import path from 'path';
 
 const DEFAULT_PROJECTS = ['KAFKA', 'SPARK', 'HADOOP'];
 
 const COMMANDS = {
   SCRAPE: 'scrape',
+  SYNC: 'sync',
   EXPORT: 'export',
   STATUS: 'status',
+  FIELDS: 'fields',
   HELP: 'help'
 };
 
@@ -27,6 +32,10 @@ Commands:
                         Example: node src/cli.js scrape KAFKA SPARK HADOOP
                         Default: KAFKA, SPARK, HADOOP
 
+  sync [projects]       Fetch issues updated since the last run
+                        Example: node src/cli.js sync KAFKA
+                        Default: KAFKA, SPARK, HADOOP
+
   export [projects]     Export scraped data to JSONL format
                         Example: node src/cli.js export KAFKA
                         Default: exports all projects
@@ -34,18 +43,87 @@ Commands:
   status [project]      Check scraping status for a project
                         Example: node src/cli.js status KAFKA
 
+  fields <project>      List fields populated on a project's issues
+                        Example: node src/cli.js fields KAFKA
+
   help                  Show this help message
 
 Options:
+  --storage=NAME        Storage backend: supabase or sqlite (default: supabase;
+                        sqlite needs Node.js 22.13+)
+  --db-path=PATH        SQLite database file (default: ./data/jira.db)
+  --source=NAME         Jira instance to use (default: apache)
+  --sources-file=PATH   Jira source definitions (default: ./jira-sources.json)
   --max-issues=N        Limit number of issues to scrape per project
   --batch-size=N        Number of issues to fetch per API call (default: 50)
   --no-resume           Start scraping from beginning (ignore saved state)
+  --no-changelog        Skip fetching issue changelogs (status/field history)
+  --download-attachments
+                        Store text attachments (.patch, .diff, .log, .txt) locally
+  --attachment-max-bytes=N
+                        Skip attachments larger than N bytes (default: 1048576)
+  --attachment-dir=PATH Attachment storage directory (default: ./data/attachments)
+  --sample-size=N       Issues sampled by the fields command (default: 50)
   --output-dir=PATH     Output directory for JSONL files (default: ./output)
+  --include-history     Add status transition timelines to the export
+  --include-patches     Add issue → patch records from downloaded attachments
+  --tasks=LIST          Training tasks to export (default: summary,classification,
+                        qa,discussion,key_extraction; also timeline, patch,
+                        resolution_outcome, resolution_time, fix_version,
+                        release_notes, thread_reply, stack_trace_component)
+  --tasks-file=PATH     Custom task definitions (default: ./export-tasks.json)
+  --format=NAME         Record format: raw, messages (OpenAI chat), sharegpt or
+                        alpaca (default: raw)
+  --system-prompt=TEXT  System turn for chat formats (--no-system-prompt to omit)
+  --max-input-tokens=N  Input token budget for every task (default: per task,
+                        256 to 2048); long text is cut at paragraph, sentence
+                        or code-block boundaries
+  --tokenizer=PATH      Module exporting countTokens(text) (default: ~4 chars
+                        per token)
+  --chunk-threads       Split discussions over budget into several records
+  --thread-overlap=N    Comments repeated between thread chunks (default: 2)
+  --collapse-traces[=N] Keep only the top N frames (default: 5) of stack traces
+                        in exported text
+  --split=SPEC          Write train/validation/test files, e.g.
+                        train:0.9,val:0.05,test:0.05 (issues never span splits)
+  --split-mode=MODE     hash (stable per issue key, default) or time (oldest
+                        issues first, by created date)
+  --stratify=LIST       Apply the split ratios within each group of
+                        project, issue_type, priority, status (hash mode)
+  --dedup[=MODE]        Handle duplicate and near-duplicate issues: drop (all
+                        copies), keep-one (earliest per cluster, the default)
+                        or annotate
+                        (add cluster_id); writes a *_dedup_report.json
+  --dedup-threshold=N   Similarity (0-1) for near duplicates (default: 0.8)
+  --redact=LIST         Redaction detectors (default: private_key,url_credentials,
+                        aws_key,api_key,email,ip,mention; also hostname)
+  --no-redact           Export names, emails and secrets as-is (internal use only)
+  --pseudonym-map=PATH  Stable name → USER_0001 mapping, reused across exports
+                        (default: ./data/pseudonyms.json)
+  --bot-comments=MODE   Automated comments (CI, precommit QA, PR mirrors, commit
+                        notices): keep (default), exclude, or events (replace
+                        them with structured CI/commit events)
+
+Export Filters (lists are comma-separated; dates are YYYY-MM-DD or ISO timestamps):
+  --created-from=DATE   Only issues created on or after DATE
+  --created-to=DATE     Only issues created on or before DATE
+  --resolved-from=DATE  Only issues resolved on or after DATE
+  --resolved-to=DATE    Only issues resolved on or before DATE
+  --issue-types=LIST    Only these issue types (e.g. Bug,Improvement)
+  --statuses=LIST       Only these statuses (e.g. Resolved,Closed)
+  --resolutions=LIST    Only these resolutions (e.g. Fixed)
+  --components=LIST     Only issues with at least one of these components
+  --labels=LIST         Only issues with at least one of these labels
+  --min-comments=N      Only issues with at least N comments
 
 Environment Variables:
   LOG_LEVEL            Set logging level: ERROR, WARN, INFO, DEBUG (default: INFO)
-  VITE_SUPABASE_URL    Supabase project URL (required)
-  VITE_SUPABASE_ANON_KEY   Supabase API key (required)
+  STORAGE_BACKEND      Storage backend: supabase or sqlite (default: supabase)
+  SQLITE_PATH          SQLite database file for the sqlite backend
+  VITE_SUPABASE_URL    Supabase project URL (required for supabase storage)
+  VITE_SUPABASE_ANON_KEY   Supabase API key (required for supabase storage)
+  JIRA_SOURCES_FILE    Path to Jira source definitions (optional)
+  EXPORT_TASKS_FILE    Path to custom export task definitions (optional)
 
 Examples:
   # Scrape default projects (KAFKA, SPARK, HADOOP)
@@ -54,12 +132,31 @@ Examples:
   # Scrape specific projects with limited issues
   node src/cli.js scrape CASSANDRA NIFI --max-issues=100
 
+  # Pick up edits, new comments and status changes since the last run
+  node src/cli.js sync KAFKA
+
   # Export all scraped data to JSONL
   node src/cli.js export
 
   # Export specific project
   node src/cli.js export KAFKA --output-dir=./data
 
+  # Export fixed bugs from 2023 that have some discussion
+  node src/cli.js export SPARK --issue-types=Bug --resolutions=Fixed \\
+    --created-from=2023-01-01 --created-to=2023-12-31 --min-comments=3
+
+  # Leakage-free train/val/test files, balanced per project and issue type
+  node src/cli.js export --split=train:0.9,val:0.05,test:0.05 --stratify=project,issue_type
+
+  # Export as OpenAI-style chat messages
+  node src/cli.js export KAFKA --format=messages --system-prompt="You are a Kafka maintainer."
+
+  # Scrape a private instance defined in jira-sources.json
+  node src/cli.js scrape PLATFORM --source=corp
+
+  # Scrape into a local SQLite file, no Supabase needed (Node.js 22.13+)
+  node src/cli.js scrape KAFKA --storage=sqlite --max-issues=100
+
   # Check status of a scraping job
   node src/cli.js status KAFKA
 `);
@@ -76,7 +173,8 @@ function parseArgs(args) {
     const arg = args[i];
 
     if (arg.startsWith('--')) {
-      const [key, value] = arg.slice(2).split('=');
+      const [key, ...rest] = arg.slice(2).split('=');
+      const value = rest.join('=');
       if (value) {
         parsed.options[key] = value;
       } else {
@@ -92,21 +190,54 @@ function parseArgs(args) {
   return parsed;
 }
 
-async function handleScrape(projects, options) {
+function parseList(value) {
+  if (typeof value !== 'string') return null;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function getExportFilters(options) {
+  return {
+    createdFrom: options['created-from'],
+    createdTo: options['created-to'],
+    resolvedFrom: options['resolved-from'],
+    resolvedTo: options['resolved-to'],
+    issueTypes: parseList(options['issue-types']),
+    statuses: parseList(options.statuses),
+    resolutions: parseList(options.resolutions),
+    components: parseList(options.components),
+    labels: parseList(options.labels),
+    minComments: options['min-comments']
+  };
+}
+
+function getStorageOptions(options) {
+  return {
+    backend: options.storage,
+    path: options['db-path']
+  };
+}
+
+async function handleScrape(projects, options, mode = 'full') {
   const projectsToScrape = projects.length > 0 ? projects : DEFAULT_PROJECTS;
 
-  logger.info(`Starting scrape for projects: ${projectsToScrape.join(', ')}`);
+  logger.info(`Starting ${mode === 'sync' ? 'sync' : 'scrape'} for projects: ${projectsToScrape.join(', ')}`);
 
   const scraperOptions = {
+    storage: getStorageOptions(options),
+    source: getSource(options.source, options['sources-file']),
     batchSize: parseInt(options['batch-size']) || 50,
-    maxIssues: parseInt(options['max-issues']) || null
+    maxIssues: parseInt(options['max-issues']) || null,
+    includeChangelog: !options['no-changelog'],
+    downloadAttachments: Boolean(options['download-attachments']),
+    attachmentMaxBytes: parseInt(options['attachment-max-bytes']) || undefined,
+    attachmentDir: options['attachment-dir']
   };
 
   const scraper = new JiraScraper(scraperOptions);
   const resume = !options['no-resume'];
 
   try {
-    const results = await scraper.scrapeMultipleProjects(projectsToScrape, resume);
+    const results = await scraper.scrapeMultipleProjects(projectsToScrape, resume, mode);
 
     console.log('\n' + '='.repeat(60));
     console.log('SCRAPING SUMMARY');
@@ -114,7 +245,13 @@ async function handleScrape(projects, options) {
 
     for (const result of results) {
       if (result.status === 'completed') {
-        console.log(`✓ ${result.projectKey}: ${result.totalIssues} issues scraped`);
+        console.log(`✓ ${result.projectKey}: ${result.totalIssues} issues ${mode === 'sync' ? 'updated' : 'scraped'}`);
+        if (result.commentRefetches) {
+          console.log(`  Issues needing full comment fetch: ${result.commentRefetches}`);
+        }
+        if (result.watermark) {
+          console.log(`  Updated through: ${new Date(result.watermark).toLocaleString()}`);
+        }
       } else {
         console.log(`✗ ${result.projectKey}: ${result.error || 'Unknown error'}`);
       }
@@ -123,6 +260,7 @@ async function handleScrape(projects, options) {
     const stats = scraper.jiraClient.getStats();
     console.log(`\nAPI Requests: ${stats.requestCount}`);
     console.log(`API Errors: ${stats.errorCount}`);
+    console.log(`Issues with paginated comments: ${scraper.commentRefetchCount}`);
 
   } catch (error) {
     logger.error('Scraping failed:', error);
@@ -130,9 +268,46 @@ async function handleScrape(projects, options) {
   }
 }
 
+function printOutputs(stats, prefix = '  ') {
+  if (!stats.splits) {
+    console.log(`${prefix}Output: ${stats.outputPath}`);
+    return;
+  }
+
+  for (const [split, counts] of Object.entries(stats.splits)) {
+    console.log(`${prefix}${split}: ${counts.totalRecords} records from ${counts.totalIssues} issues → ${counts.outputPath}`);
+  }
+}
+
 async function handleExport(projects, options) {
   const outputDir = options['output-dir'] || './output';
-  const formatter = new TextFormatter();
+  const formatter = new TextFormatter({
+    storage: getStorageOptions(options),
+    source: options.source,
+    includeHistory: Boolean(options['include-history']),
+    includePatches: Boolean(options['include-patches']),
+    attachmentDir: options['attachment-dir'],
+    filters: getExportFilters(options),
+    tasks: parseList(options.tasks),
+    tasksFile: options['tasks-file'],
+    format: options.format,
+    systemPrompt: options['no-system-prompt'] ? null : options['system-prompt'],
+    maxInputTokens: options['max-input-tokens'] ? parseInt(options['max-input-tokens']) : null,
+    tokenizer: options.tokenizer,
+    chunkThreads: Boolean(options['chunk-threads']),
+    threadOverlap: options['thread-overlap'] ? parseInt(options['thread-overlap']) : undefined,
+    collapseTraces: options['collapse-traces'] === true ? 5 : parseInt(options['collapse-traces']) || null,
+    split: typeof options.split === 'string' ? options.split : null,
+    splitMode: options['split-mode'],
+    stratify: parseList(options.stratify),
+    dedup: options.dedup === true ? 'keep-one' : options.dedup || null,
+    dedupThreshold: options['dedup-threshold'] ? parseFloat(options['dedup-threshold']) : undefined,
+    redact: !options['no-redact'],
+    redactDetectors: parseList(options.redact),
+    pseudonymMap: options['pseudonym-map'] || './data/pseudonyms.json',
+    botComments: options['bot-comments'],
+    botAuthors: options.source ? getSource(options.source, options['sources-file']).botAuthors : undefined
+  });
 
   try {
     if (projects.length > 0) {
@@ -144,16 +319,16 @@ async function handleExport(projects, options) {
       console.log('='.repeat(60));
 
       for (const result of results) {
-        if (result.totalRecords) {
-          console.log(`✓ ${result.projectKey}: ${result.totalRecords} records from ${result.totalIssues} issues`);
-          console.log(`  Output: ${result.outputPath}`);
-        } else {
+        if (result.error) {
           console.log(`✗ ${result.projectKey}: ${result.error}`);
+        } else {
+          console.log(`✓ ${result.projectKey}: ${result.totalRecords} records from ${result.totalIssues} issues`);
+          printOutputs(result);
         }
       }
     } else {
       logger.info('Exporting all projects');
-  const outputPath = path.join(outputDir, 'all_projects_training.jsonl');
+      const outputPath = path.join(outputDir, 'all_projects_training.jsonl');
       const stats = await formatter.exportToJSONL(outputPath);
 
       console.log('\n' + '='.repeat(60));
@@ -161,7 +336,7 @@ async function handleExport(projects, options) {
       console.log('='.repeat(60));
       console.log(`✓ Total Issues: ${stats.totalIssues}`);
       console.log(`✓ Total Records: ${stats.totalRecords}`);
-      console.log(`✓ Output: ${stats.outputPath}`);
+      printOutputs(stats, '✓ ');
     }
 
   } catch (error) {
@@ -170,8 +345,8 @@ async function handleExport(projects, options) {
   }
 }
 
-async function handleStatus(projects) {
-  const db = new DatabaseService();
+async function handleStatus(projects, options) {
+  const db = createDatabase({ ...getStorageOptions(options), source: options.source });
 
   try {
     if (projects.length === 0) {
@@ -191,9 +366,14 @@ async function handleStatus(projects) {
 
       if (state) {
         console.log(`Status: ${state.status}`);
+        console.log(`Mode: ${state.sync_mode || 'full'}`);
         console.log(`Issues Scraped: ${state.total_issues_scraped}`);
         console.log(`Last Position: ${state.last_start_at}`);
 
+        if (state.last_updated_watermark) {
+          console.log(`Updated Through: ${new Date(state.last_updated_watermark).toLocaleString()}`);
+        }
+
         if (state.started_at) {
           console.log(`Started: ${new Date(state.started_at).toLocaleString()}`);
         }
@@ -220,6 +400,40 @@ async function handleStatus(projects) {
   }
 }
 
+async function handleFields(projects, options) {
+  if (projects.length === 0) {
+    console.log('Please specify a project key');
+    process.exit(1);
+  }
+
+  // Field discovery only talks to Jira; no storage backend is opened.
+  const source = getSource(options.source, options['sources-file']);
+  const jiraClient = new JiraClient({ source });
+  const fieldMapper = new FieldMapper(source?.fieldMappings || []);
+
+  try {
+    for (const projectKey of projects) {
+      const fields = await fieldMapper.discover(jiraClient, projectKey, parseInt(options['sample-size']) || 50);
+
+      console.log('\n' + '='.repeat(60));
+      console.log(`FIELDS: ${projectKey}`);
+      console.log('='.repeat(60));
+
+      for (const field of fields) {
+        const usage = `${field.populated}/${field.sampled}`;
+        const marker = field.mapped ? '*' : ' ';
+        console.log(`${marker} ${field.id.padEnd(22)} ${field.name.padEnd(32)} ${field.type.padEnd(18)} ${usage}`);
+      }
+
+      console.log('\n* = mapped by the source\'s fieldMappings');
+    }
+
+  } catch (error) {
+    logger.error('Field discovery failed:', error);
+    process.exit(1);
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
@@ -235,12 +449,20 @@ async function main() {
       await handleScrape(projects, options);
       break;
 
+    case COMMANDS.SYNC:
+      await handleScrape(projects, options, 'sync');
+      break;
+
     case COMMANDS.EXPORT:
       await handleExport(projects, options);
       break;
 
     case COMMANDS.STATUS:
-      await handleStatus(projects);
+      await handleStatus(projects, options);
+      break;
+
+    case COMMANDS.FIELDS:
+      await handleFields(projects, options);
       break;
 
     case COMMANDS.HELP:
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DEFAULT_SOURCE = 'apache';
+
+const BUILTIN_SOURCES = {
+  apache: {
+    name: 'apache',
+    baseUrl: 'https://issues.apache.org/jira',
+    apiVersion: 2,
+    auth: { type: 'none' },
+    fieldMappings: [
+      { field: 'Flags', target: 'metadata.flags' },
+      { field: 'Reviewer', target: 'metadata.reviewer' },
+      { field: 'Epic Link', target: 'metadata.epic_link' },
+      { field: 'Patch Info', target: 'metadata.patch_info' },
+      { field: 'Estimated Complexity', target: 'metadata.estimated_complexity' }
+    ]
+  }
+};
+
+// Secrets can be given inline or, preferably, as the name of an environment
+// variable: `{ "type": "bearer", "tokenEnv": "CORP_JIRA_PAT" }`.
+function resolveSecrets(auth = {}) {
+  const resolved = {};
+
+  for (const [key, value] of Object.entries(auth)) {
+    if (key.endsWith('Env')) {
+      const target = key.slice(0, -3);
+      if (resolved[target] === undefined) {
+        resolved[target] = process.env[value];
+      }
+    } else {
+      resolved[key] = value;
+    }
+  }
+
+  return resolved;
+}
+
+export function loadSources(filePath = process.env.JIRA_SOURCES_FILE || './jira-sources.json') {
+  const sources = { ...BUILTIN_SOURCES };
+
+  if (!fs.existsSync(filePath)) {
+    return sources;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed.sources || [];
+
+  for (const entry of entries) {
+    if (!entry.name || !entry.baseUrl) {
+      throw new Error(`Invalid Jira source in ${filePath}: name and baseUrl are required`);
+    }
+
+    sources[entry.name] = {
+      ...entry,
+      baseUrl: entry.baseUrl.replace(/\/+$/, ''),
+      apiVersion: entry.apiVersion || 2,
+      auth: resolveSecrets(entry.auth || { type: 'none' })
+    };
+  }
+
+  return sources;
+}
+
+export function getSource(name = DEFAULT_SOURCE, filePath) {
+  const sources = loadSources(filePath);
+  const source = sources[name];
+
+  if (!source) {
+    throw new Error(`Unknown Jira source: ${name}. Configured sources: ${Object.keys(sources).join(', ')}`);
+  }
+
+  return source;
+}
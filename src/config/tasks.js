@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+
+// Task config is a JSON file of entries, either `{ "tasks": [...] }` or a bare
+// array. An entry is one of:
+//   - a template task: name, instruction, input, output, when, weight
+//   - a module task:   { "module": "./tasks/my-task.js" }
+//   - an override of an existing task by name: weight, instruction, options
+export function loadTaskConfig(filePath = process.env.EXPORT_TASKS_FILE || './export-tasks.json') {
+  if (!fs.existsSync(filePath)) {
+    return { entries: [], baseDir: process.cwd() };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+  return {
+    entries: Array.isArray(parsed) ? parsed : parsed.tasks || [],
+    baseDir: path.dirname(path.resolve(filePath))
+  };
+}
@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+const require = createRequire(import.meta.url);
+
+export const MIGRATIONS_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../supabase/migrations'
+);
+
+const UUID_DEFAULT =
+  "(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || " +
+  "substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || " +
+  "substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))))";
+
+const NOW_DEFAULT = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+function stripComments(sql) {
+  return sql
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/--[^\n]*/g, '');
+}
+
+function splitStatements(sql) {
+  return stripComments(sql)
+    .split(';')
+    .map(statement => statement.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function isJsonType(type) {
+  return /^jsonb?$/i.test(type) || /\[\]$/.test(type);
+}
+
+// Postgres column definitions are rewritten to SQLite affinity types. Arrays
+// and jsonb are stored as JSON text; uuids and timestamps as text.
+function translateColumn(definition) {
+  const [name, type, ...rest] = definition.split(' ');
+  let sqliteType = 'TEXT';
+
+  if (/^(int|integer|bigint|smallint)$/i.test(type)) sqliteType = 'INTEGER';
+  if (/^(numeric|real|double|float)/i.test(type)) sqliteType = 'REAL';
+  if (/^bool/i.test(type)) sqliteType = 'INTEGER';
+
+  const constraints = rest.join(' ')
+    .replace(/DEFAULT gen_random_uuid\(\)/i, `DEFAULT ${UUID_DEFAULT}`)
+    .replace(/DEFAULT now\(\)/i, `DEFAULT ${NOW_DEFAULT}`)
+    .replace(/'([^']*)'::jsonb/gi, "'$1'")
+    .replace(/ARRAY\[\]::\w+\[\]/gi, "'[]'")
+    .replace(/\bUNIQUE\b/i, '')
+    .trim();
+
+  return {
+    name,
+    json: isJsonType(type),
+    timestamp: /^timestamp(tz)?$/i.test(type),
+    boolean: /^bool/i.test(type),
+    unique: /\bUNIQUE\b/i.test(rest.join(' ')),
+    sql: `${name} ${sqliteType}${constraints ? ` ${constraints}` : ''}`.replace(/\s+/g, ' ')
+  };
+}
+
+function splitDefinitions(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function createSchemaInfo() {
+  return { jsonColumns: {}, timestampColumns: {}, booleanColumns: {} };
+}
+
+function recordColumn(schema, table, column) {
+  schema.jsonColumns[table] = schema.jsonColumns[table] || new Set();
+  schema.timestampColumns[table] = schema.timestampColumns[table] || new Set();
+  schema.booleanColumns[table] = schema.booleanColumns[table] || new Set();
+
+  if (column.json) schema.jsonColumns[table].add(column.name);
+  if (column.timestamp) schema.timestampColumns[table].add(column.name);
+  if (column.boolean) schema.booleanColumns[table].add(column.name);
+}
+
+// Unique constraints become named unique indexes (Postgres' default
+// `<table>_<column>_key` naming for inline ones) so that later migrations can
+// drop them with `DROP CONSTRAINT`, which SQLite has no equivalent for.
+export function translateStatement(statement, schema = createSchemaInfo(), hasColumn = () => false) {
+  let match;
+
+  if (/^(CREATE|DROP) POLICY/i.test(statement) || /ROW LEVEL SECURITY/i.test(statement)) {
+    return [];
+  }
+
+  if ((match = statement.match(/^CREATE TABLE (?:IF NOT EXISTS )?(\w+) \((.*)\)$/i))) {
+    const [, table, body] = match;
+    const columns = [];
+    const indexes = [];
+
+    for (const definition of splitDefinitions(body)) {
+      const constraint = definition.match(/^CONSTRAINT (\w+) UNIQUE \((.*)\)$/i);
+      if (constraint) {
+        indexes.push(`CREATE UNIQUE INDEX IF NOT EXISTS ${constraint[1]} ON ${table}(${constraint[2]})`);
+        continue;
+      }
+
+      const column = translateColumn(definition);
+      columns.push(column.sql);
+      recordColumn(schema, table, column);
+      if (column.unique) {
+        indexes.push(`CREATE UNIQUE INDEX IF NOT EXISTS ${table}_${column.name}_key ON ${table}(${column.name})`);
+      }
+    }
+
+    return [`CREATE TABLE IF NOT EXISTS ${table} (${columns.join(', ')})`, ...indexes];
+  }
+
+  if ((match = statement.match(/^ALTER TABLE (\w+) ADD COLUMN (?:IF NOT EXISTS )?(.*)$/i))) {
+    const [, table, definition] = match;
+    const column = translateColumn(definition);
+    recordColumn(schema, table, column);
+
+    return hasColumn(table, column.name) ? [] : [`ALTER TABLE ${table} ADD COLUMN ${column.sql}`];
+  }
+
+  if ((match = statement.match(/^ALTER TABLE (\w+) ADD CONSTRAINT (\w+) UNIQUE \((.*)\)$/i))) {
+    return [`CREATE UNIQUE INDEX IF NOT EXISTS ${match[2]} ON ${match[1]}(${match[3]})`];
+  }
+
+  if ((match = statement.match(/^ALTER TABLE (\w+) DROP CONSTRAINT (?:IF EXISTS )?(\w+)$/i))) {
+    return [`DROP INDEX IF EXISTS ${match[2]}`];
+  }
+
+  if (/^CREATE (UNIQUE )?INDEX/i.test(statement) || /^UPDATE \w+ SET /i.test(statement)) {
+    return [statement];
+  }
+
+  throw new Error(`Unsupported migration statement for SQLite: ${statement.slice(0, 80)}`);
+}
+
+export function openSqlite(filePath, migrationsDir = MIGRATIONS_DIR) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch {
+    throw new Error(`The sqlite storage backend requires Node.js 22.13 or newer (running ${process.version})`);
+  }
+
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new DatabaseSync(filePath);
+  db.exec('PRAGMA foreign_keys = ON');
+  db.exec('PRAGMA journal_mode = WAL');
+
+  const schema = applyMigrations(db, migrationsDir);
+  return { db, schema };
+}
+
+export function applyMigrations(db, migrationsDir = MIGRATIONS_DIR) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT)');
+
+  const applied = new Set(db.prepare('SELECT name FROM schema_migrations').all().map(row => row.name));
+  const files = fs.readdirSync(migrationsDir).filter(file => file.endsWith('.sql')).sort();
+  const schema = createSchemaInfo();
+
+  const hasColumn = (table, column) =>
+    db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+
+  for (const file of files) {
+    const statements = splitStatements(fs.readFileSync(path.join(migrationsDir, file), 'utf-8'));
+
+    if (applied.has(file)) {
+      // Still walk the statements so JSON, timestamp and boolean columns are known.
+      statements.forEach(statement => translateStatement(statement, schema, () => true));
+      continue;
+    }
+
+    logger.info(`Applying migration ${file} to SQLite`);
+    db.exec('BEGIN');
+
+    try {
+      for (const statement of statements) {
+        for (const translated of translateStatement(statement, schema, hasColumn)) {
+          db.exec(translated);
+        }
+      }
+
+      db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)').run(file, new Date().toISOString());
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw new Error(`Migration ${file} failed: ${error.message}`);
+    }
+  }
+
+  return schema;
+}
@@ -3,11 +3,21 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const supabaseUrl = process.env.VITE_SUPABASE_URL;
-const supabaseKey = process.env.VITE_SUPABASE_ANON_KEY;
+let client = null;
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase credentials in .env file');
-}
+// Created on first use so that other storage backends work without
+// Supabase credentials.
+export function getSupabase() {
+  if (!client) {
+    const supabaseUrl = process.env.VITE_SUPABASE_URL;
+    const supabaseKey = process.env.VITE_SUPABASE_ANON_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      throw new Error('Missing Supabase credentials in .env file');
+    }
 
-export const supabase = createClient(supabaseUrl, supabaseKey);
+    client = createClient(supabaseUrl, supabaseKey);
+  }
+
+  return client;
+}
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export class AttachmentStore {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || './data/attachments';
+  }
+
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  pathFor(contentHash) {
+    return path.join(this.baseDir, contentHash.slice(0, 2), contentHash.slice(2, 4), contentHash);
+  }
+
+  async save(content) {
+    const contentHash = this.hash(content);
+    const filePath = this.pathFor(contentHash);
+
+    try {
+      await fs.access(filePath);
+    } catch {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    }
+
+    return { contentHash, filePath };
+  }
+
+  async read(contentHash) {
+    try {
+      return await fs.readFile(this.pathFor(contentHash), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
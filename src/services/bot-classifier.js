@@ -0,0 +1,145 @@
+export const BOT_COMMENT_MODES = ['keep', 'exclude', 'events'];
+
+// Accounts that only ever post automated comments on the ASF Jira.
+const BOT_AUTHORS = {
+  'hadoop qa': 'qa',
+  'hudson': 'ci',
+  'jenkins': 'ci',
+  'asf github bot': 'pr',
+  'githubbot': 'pr',
+  'asf subversion and git services': 'commit',
+  'apache spark': 'pr',
+  'flink jira bot': 'other',
+  'kafka jira bot': 'other'
+};
+
+// Content signatures, for bots posting under shared or renamed accounts.
+// A lone "+1 overall" is how reviewers vote too, so QA reports are matched by
+// their layout: the Yetus vote table, or the older Hadoop QA report with an
+// overall vote line followed by per-check vote lines.
+const BOT_SIGNATURES = [
+  { kind: 'qa', pattern: /^\|\s*(?:\{color:\w+\})?[-+]1(?:\{color\})?\s*\|\s*(?:\{color:\w+\})?\s*overall\b/im },
+  { kind: 'qa', pattern: /^\s*(?:\{color:\w+\})?[-+]1 overall\b[\s\S]*?^\s*(?:\{color:\w+\})?[-+]1 (?!overall)[\w@ -]{1,40}?(?:\{color\})?\.\s/im },
+  { kind: 'qa', pattern: /\|\s*Vote\s*\|\s*Subsystem\s*\|/i },
+  { kind: 'ci', pattern: /^(?:SUCCESS|FAILURE|UNSTABLE|ABORTED|FIXED): Integrated in /m },
+  { kind: 'ci', pattern: /^Integrated in (?:Jenkins build )?\S+ #\d+/m },
+  { kind: 'commit', pattern: /^Commit [0-9a-f]{7,40} in \S+'s branch /m },
+  { kind: 'commit', pattern: /^(?:Committed|Pushed) revision \d+/m },
+  { kind: 'pr', pattern: /^GitHub user \S+ opened a pull request/im },
+  { kind: 'pr', pattern: /^User '\S+' has created a pull request for this issue/im },
+  { kind: 'pr', pattern: /^Github user \S+ commented on the (?:issue|pull request)/im }
+];
+
+const PULL_REQUEST_URL = /https?:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/pull\/(\d+)/;
+
+// Flags automated comments (CI results, precommit QA reports, commit notices,
+// GitHub PR mirrors) and turns them into structured events. Sources can add
+// their own accounts with `botAuthors: { "Build Bot": "ci" }`.
+export class BotClassifier {
+  constructor(options = {}) {
+    this.authors = { ...BOT_AUTHORS };
+
+    for (const [author, kind] of Object.entries(options.authors || {})) {
+      this.authors[author.toLowerCase()] = kind;
+    }
+  }
+
+  classify(comment) {
+    const byAuthor = this.authors[(comment.author || '').trim().toLowerCase()];
+    if (byAuthor) {
+      return { is_bot: true, bot_kind: byAuthor };
+    }
+
+    const signature = BOT_SIGNATURES.find(({ pattern }) => pattern.test(comment.body || ''));
+    if (signature) {
+      return { is_bot: true, bot_kind: signature.kind };
+    }
+
+    return { is_bot: false, bot_kind: null };
+  }
+
+  // Comments stored before classification existed have no flag yet.
+  isBot(comment) {
+    return comment.is_bot == null ? this.classify(comment).is_bot : Boolean(comment.is_bot);
+  }
+
+  kindOf(comment) {
+    return comment.bot_kind || this.classify(comment).bot_kind || 'other';
+  }
+
+  toEvent(comment) {
+    const body = comment.body || '';
+    const event = {
+      kind: this.kindOf(comment),
+      author: comment.author,
+      created_date: comment.created_date
+    };
+
+    switch (event.kind) {
+      case 'qa': {
+        const vote = body.match(/([-+]1)(?:\{color\})?\s*\|?\s*(?:\{color:\w+\})?\s*overall\b/i);
+        event.vote = vote ? vote[1] : null;
+        event.failed_checks = [...body.matchAll(/^\|\s*-1\s*\|\s*([^|]+?)\s*\|/gm)].map(match => match[1]);
+        break;
+      }
+
+      case 'ci': {
+        const result = body.match(/^(SUCCESS|FAILURE|UNSTABLE|ABORTED|FIXED)\b/m);
+        const build = body.match(/Integrated in (?:Jenkins build )?(\S+) #(\d+)/);
+        event.result = result ? result[1].toLowerCase() : null;
+        event.job = build ? build[1] : null;
+        event.build = build ? parseInt(build[2]) : null;
+        break;
+      }
+
+      case 'commit': {
+        const commit = body.match(/Commit ([0-9a-f]{7,40}) in (\S+?)'s branch (\S+)/);
+        const revision = body.match(/(?:Committed|Pushed) revision (\d+)/);
+        event.sha = commit ? commit[1] : revision ? `r${revision[1]}` : null;
+        event.repository = commit ? commit[2] : null;
+        event.branch = commit ? commit[3].replace(/^refs\/heads\//, '') : null;
+        event.message = this.commitMessage(body);
+        break;
+      }
+
+      case 'pr': {
+        const url = body.match(PULL_REQUEST_URL);
+        event.action = /opened|created a pull request/i.test(body)
+          ? 'opened'
+          : /merged/i.test(body) ? 'merged' : /closed/i.test(body) ? 'closed' : 'commented';
+        event.repository = url ? url[1] : null;
+        event.pull_request = url ? parseInt(url[2]) : null;
+        break;
+      }
+
+      default:
+        event.text = body.slice(0, 200);
+    }
+
+    return event;
+  }
+
+  // Commit notices end with the commit message, usually after the
+  // "[ https://gitbox.apache.org/... ]" link line.
+  commitMessage(body) {
+    const lines = body.split('\n').map(line => line.trim()).filter(Boolean);
+    const linkIndex = lines.findIndex(line => /^\[?\s*https?:\/\//.test(line) || /\[ https?:\/\/[^\]]+ \]$/.test(line));
+    const message = linkIndex >= 0 ? lines.slice(linkIndex + 1) : lines.slice(1);
+    return message.join('\n').slice(0, 500) || null;
+  }
+}
+
+export function describeEvent(event) {
+  switch (event.kind) {
+    case 'qa':
+      return `Precommit QA voted ${event.vote || '?'}${event.failed_checks?.length ? ` (failed: ${event.failed_checks.join(', ')})` : ''}`;
+    case 'ci':
+      return `CI ${event.job || 'build'}${event.build ? ` #${event.build}` : ''}: ${event.result || 'unknown result'}`;
+    case 'commit':
+      return `Commit ${event.sha || ''}${event.branch ? ` on ${event.branch}` : ''}${event.message ? `: ${event.message.split('\n')[0]}` : ''}`;
+    case 'pr':
+      return `Pull request ${event.repository ? `${event.repository}#${event.pull_request}` : ''} ${event.action}`.replace(/\s+/g, ' ');
+    default:
+      return `Automated comment by ${event.author}`;
+  }
+}
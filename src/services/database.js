@@ -1,234 +1,226 @@
-import { supabase } from '../lib/supabase.js';
+import { DEFAULT_SOURCE } from '../config/sources.js';
 import { logger } from '../utils/logger.js';
 
-export class DatabaseService {
-  async saveProject(projectData) {
-    try {
-      const { data, error } = await supabase
-        .from('projects')
-        .upsert(
-          {
-            project_key: projectData.project_key,
-            project_name: projectData.project_name,
-            project_url: projectData.project_url,
-            description: projectData.description,
-            metadata: projectData.metadata,
-            updated_at: new Date().toISOString()
-          },
-          {
-            onConflict: 'project_key',
-            ignoreDuplicates: false
-          }
-        )
-        .select()
-        .maybeSingle();
+const DUPLICATE_LINK_TYPES = ['Duplicate', 'Duplicates'];
+const BLOCKING_LINK_TYPES = ['Blocker', 'Blocks'];
+const DEFAULT_CHUNK_SIZE = 500;
+const DEFAULT_EXPORT_PAGE_SIZE = 100;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
 
-      if (error) {
-        logger.error(`Error saving project ${projectData.project_key}:`, error);
-        throw error;
-      }
+// Upper bounds are turned into exclusive ones: a bare date covers the whole
+// day, a full timestamp is inclusive to the millisecond.
+function toDateBound(value, name, isUpper) {
+  if (!value) return null;
 
-      logger.debug(`Saved project: ${projectData.project_key}`);
-      return data;
-    } catch (error) {
-      logger.error(`Failed to save project ${projectData.project_key}:`, error);
-      throw error;
-    }
+  const date = new Date(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
   }
 
-  async getProject(projectKey) {
-    const { data, error } = await supabase
-      .from('projects')
-      .select('*')
-      .eq('project_key', projectKey)
-      .maybeSingle();
+  if (isUpper) {
+    date.setTime(date.getTime() + (DATE_ONLY.test(value) ? 86400000 : 1));
+  }
 
-    if (error) {
-      logger.error(`Error fetching project ${projectKey}:`, error);
-      throw error;
-    }
+  return date.toISOString();
+}
 
-    return data;
-  }
+function toList(value) {
+  return value && value.length > 0 ? value : null;
+}
 
-  async saveIssue(issueData) {
-    try {
-      const { data, error } = await supabase
-        .from('issues')
-        .upsert(
-          {
-            project_id: issueData.project_id,
-            issue_key: issueData.issue_key,
-            issue_id: issueData.issue_id,
-            summary: issueData.summary,
-            description: issueData.description,
-            issue_type: issueData.issue_type,
-            status: issueData.status,
-            priority: issueData.priority,
-            resolution: issueData.resolution,
-            reporter: issueData.reporter,
-            assignee: issueData.assignee,
-            labels: issueData.labels,
-            components: issueData.components,
-            versions: issueData.versions,
-            fix_versions: issueData.fix_versions,
-            created_date: issueData.created_date,
-            updated_date: issueData.updated_date,
-            resolved_date: issueData.resolved_date,
-            metadata: issueData.metadata,
-            updated_at: new Date().toISOString()
-          },
-          {
-            onConflict: 'issue_key',
-            ignoreDuplicates: false
-          }
-        )
-        .select()
-        .maybeSingle();
+// Storage interface shared by every backend (see `services/storage/`).
+// Backends implement the persistence methods; the graph helpers below are
+// built on top of `getIssueLinks` and work the same everywhere.
+const STORAGE_METHODS = [
+  'saveProject',
+  'getProject',
+  'saveIssue',
+  'saveIssues',
+  'saveComments',
+  'saveIssueHistory',
+  'getIssueHistory',
+  'saveAttachments',
+  'getAttachmentHashes',
+  'saveIssueLinks',
+  'getIssueLinks',
+  'getScraperState',
+  'saveScraperState',
+  'getExportPage',
+  'getExportCount',
+  'getIssueCount'
+];
 
-      if (error) {
-        logger.error(`Error saving issue ${issueData.issue_key}:`, error);
-        throw error;
+export class DatabaseService {
+  constructor(options = {}) {
+    this.source = options.source || DEFAULT_SOURCE;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.exportPageSize = options.exportPageSize || DEFAULT_EXPORT_PAGE_SIZE;
+
+    for (const method of STORAGE_METHODS) {
+      if (typeof this[method] !== 'function') {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
       }
-
-      return data;
-    } catch (error) {
-      logger.error(`Failed to save issue ${issueData.issue_key}:`, error);
-      throw error;
     }
   }
 
-  async saveComments(commentsData) {
-    if (!commentsData || commentsData.length === 0) {
-      return [];
+  // Writes rows in chunks of at most `chunkSize`. When a chunk fails its rows
+  // are retried one at a time, so the offending row is logged and the rest of
+  // the chunk is still written.
+  async writeInChunks(rows, writeChunk, describeRow) {
+    const saved = [];
+
+    for (let i = 0; i < rows.length; i += this.chunkSize) {
+      const chunk = rows.slice(i, i + this.chunkSize);
+
+      try {
+        saved.push(...((await writeChunk(chunk)) || []));
+        continue;
+      } catch (error) {
+        if (chunk.length === 1) {
+          logger.error(`Failed to write ${describeRow(chunk[0])}:`, error.message);
+          continue;
+        }
+        logger.warn(`Batch write of ${chunk.length} rows failed (${error.message}), retrying row by row`);
+      }
+
+      for (const row of chunk) {
+        try {
+          saved.push(...((await writeChunk([row])) || []));
+        } catch (error) {
+          logger.error(`Failed to write ${describeRow(row)}:`, error.message);
+        }
+      }
     }
 
-    try {
-      const { data, error } = await supabase
-        .from('comments')
-        .upsert(
-          commentsData.map(comment => ({
-            issue_id: comment.issue_id,
-            comment_id: comment.comment_id,
-            author: comment.author,
-            body: comment.body,
-            created_date: comment.created_date,
-            updated_date: comment.updated_date,
-            created_at: new Date().toISOString()
-          })),
-          {
-            onConflict: 'comment_id',
-            ignoreDuplicates: true
-          }
-        )
-        .select();
+    return saved;
+  }
+
+  // Issues are read in keyset order (created_date, id; missing dates last), one
+  // page at a time, so an export never holds more than a page in memory and is
+  // not cut short by row limits on the backend.
+  async *iterateIssuesForExport(filters = {}, options = {}) {
+    const normalized = this.normalizeExportFilters(filters);
+    let cursor = null;
+
+    while (true) {
+      const page = await this.getExportPage(normalized, cursor, this.exportPageSize, options);
 
-      if (error) {
-        logger.error(`Error saving comments:`, error);
-        throw error;
+      for (const issue of page) {
+        yield issue;
       }
 
-      return data;
-    } catch (error) {
-      logger.error(`Failed to save comments:`, error);
-      throw error;
+      if (page.length < this.exportPageSize) {
+        return;
+      }
+
+      const last = page[page.length - 1];
+      cursor = { created_date: last.created_date ?? null, id: last.id };
     }
   }
 
-  async getScraperState(projectKey) {
-    const { data, error } = await supabase
-      .from('scraper_state')
-      .select('*')
-      .eq('project_key', projectKey)
-      .maybeSingle();
+  async countIssuesForExport(filters = {}) {
+    return this.getExportCount(this.normalizeExportFilters(filters));
+  }
 
-    if (error) {
-      logger.error(`Error fetching scraper state for ${projectKey}:`, error);
-      throw error;
+  async getAllIssuesForExport(filters = {}, options = {}) {
+    const issues = [];
+
+    for await (const issue of this.iterateIssuesForExport(filters, options)) {
+      issues.push(issue);
     }
 
-    return data;
+    return issues;
   }
 
-  async saveScraperState(stateData) {
-    try {
-      const { data, error } = await supabase
-        .from('scraper_state')
-        .upsert(
-          {
-            project_key: stateData.project_key,
-            last_issue_key: stateData.last_issue_key,
-            last_start_at: stateData.last_start_at,
-            total_issues_scraped: stateData.total_issues_scraped,
-            status: stateData.status,
-            error_message: stateData.error_message,
-            started_at: stateData.started_at,
-            completed_at: stateData.completed_at,
-            updated_at: new Date().toISOString()
-          },
-          {
-            onConflict: 'project_key',
-            ignoreDuplicates: false
-          }
-        )
-        .select()
-        .maybeSingle();
+  // Backends receive filters in this shape: dates as ISO strings with an
+  // exclusive upper bound (`createdBefore`/`resolvedBefore`), lists as
+  // non-empty arrays or null.
+  normalizeExportFilters(filters = {}) {
+    const minComments = parseInt(filters.minComments);
+
+    return {
+      projectKey: filters.projectKey || null,
+      createdFrom: toDateBound(filters.createdFrom, 'createdFrom', false),
+      createdBefore: toDateBound(filters.createdTo, 'createdTo', true),
+      resolvedFrom: toDateBound(filters.resolvedFrom, 'resolvedFrom', false),
+      resolvedBefore: toDateBound(filters.resolvedTo, 'resolvedTo', true),
+      issueTypes: toList(filters.issueTypes),
+      statuses: toList(filters.statuses),
+      resolutions: toList(filters.resolutions),
+      components: toList(filters.components),
+      labels: toList(filters.labels),
+      minComments: minComments > 0 ? minComments : null
+    };
+  }
 
-      if (error) {
-        logger.error(`Error saving scraper state for ${stateData.project_key}:`, error);
-        throw error;
-      }
+  async getDuplicates(issueKey) {
+    const links = await this.getIssueLinks(issueKey, DUPLICATE_LINK_TYPES);
+    const duplicates = new Set();
 
-      return data;
-    } catch (error) {
-      logger.error(`Failed to save scraper state for ${stateData.project_key}:`, error);
-      throw error;
+    for (const link of links) {
+      const otherKey = link.source_issue_key === issueKey ? link.target_issue_key : link.source_issue_key;
+      if (otherKey !== issueKey) {
+        duplicates.add(otherKey);
+      }
     }
+
+    return [...duplicates];
   }
 
-  async getAllIssuesForExport(projectKey = null) {
-    let query = supabase
-      .from('issues')
-      .select(`
-        *,
-        project:projects(*),
-        comments(*)
-      `)
-      .order('created_date', { ascending: true });
-
-    if (projectKey) {
-      query = query.eq('project.project_key', projectKey);
+  async getBlockers(issueKey) {
+    const links = await this.getIssueLinks(issueKey, BLOCKING_LINK_TYPES);
+    const blockers = new Set();
+
+    // Either side may have recorded the edge: "X is blocked by Y" on X, or
+    // "Y blocks X" on Y.
+    for (const link of links) {
+      if (link.source_issue_key === issueKey && link.direction === 'inward') {
+        blockers.add(link.target_issue_key);
+      } else if (link.target_issue_key === issueKey && link.direction === 'outward') {
+        blockers.add(link.source_issue_key);
+      }
     }
 
-    const { data, error } = await query;
+    return [...blockers];
+  }
 
-    if (error) {
-      logger.error(`Error fetching issues for export:`, error);
-      throw error;
-    }
+  async getBlockingChain(issueKey, maxDepth = 10) {
+    const chain = [];
+    const visited = new Set([issueKey]);
+    let frontier = [issueKey];
 
-    return data;
-  }
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
 
-  async getIssueCount(projectKey = null) {
-    let query = supabase
-      .from('issues')
-      .select('id', { count: 'exact', head: true });
+      for (const blockedKey of frontier) {
+        for (const blockerKey of await this.getBlockers(blockedKey)) {
+          chain.push({ issue_key: blockerKey, blocks: blockedKey, depth });
 
-    if (projectKey) {
-      const project = await this.getProject(projectKey);
-      if (project) {
-        query = query.eq('project_id', project.id);
+          if (!visited.has(blockerKey)) {
+            visited.add(blockerKey);
+            next.push(blockerKey);
+          }
+        }
       }
+
+      frontier = next;
     }
 
-    const { count, error } = await query;
+    return chain;
+  }
+
+  async getSubtasks(issueKey) {
+    const links = await this.getIssueLinks(issueKey, ['Subtask']);
+    const subtasks = new Set();
 
-    if (error) {
-      logger.error(`Error counting issues:`, error);
-      throw error;
+    for (const link of links) {
+      if (link.source_issue_key === issueKey && link.direction === 'outward') {
+        subtasks.add(link.target_issue_key);
+      } else if (link.target_issue_key === issueKey && link.direction === 'inward') {
+        subtasks.add(link.source_issue_key);
+      }
     }
 
-    return count || 0;
+    return [...subtasks];
   }
 }
@@ -0,0 +1,167 @@
+import { logger } from '../utils/logger.js';
+
+// Issue columns a mapping may write to directly; anything else has to go
+// under `metadata.<key>`.
+const MAPPABLE_COLUMNS = [
+  'summary', 'description', 'issue_type', 'status', 'priority', 'resolution',
+  'reporter', 'assignee', 'labels', 'components', 'versions', 'fix_versions',
+  'created_date', 'updated_date', 'resolved_date'
+];
+
+export class FieldMapper {
+  constructor(mappings = []) {
+    for (const mapping of mappings) {
+      if (!mapping.field || !mapping.target) {
+        throw new Error('Field mappings require "field" and "target"');
+      }
+      if (!mapping.target.startsWith('metadata.') && !MAPPABLE_COLUMNS.includes(mapping.target)) {
+        throw new Error(`Invalid field mapping target: ${mapping.target}. Use an issue column or metadata.<key>`);
+      }
+    }
+
+    this.mappings = mappings;
+    this.resolved = null;
+  }
+
+  // Mappings may name a field by id (customfield_12310220) or by display
+  // name ("Reviewer"); names are resolved against the instance's /field list.
+  async resolve(jiraClient) {
+    if (this.resolved) {
+      return this.resolved;
+    }
+
+    this.resolved = [];
+
+    if (this.mappings.length === 0) {
+      return this.resolved;
+    }
+
+    const definitions = await jiraClient.getFields();
+    const byId = new Map(definitions.map(def => [def.id, def]));
+    const byName = new Map(definitions.map(def => [def.name.toLowerCase(), def]));
+
+    for (const mapping of this.mappings) {
+      const definition = byId.get(mapping.field) || byName.get(mapping.field.toLowerCase());
+
+      if (!definition) {
+        logger.warn(`Mapped field "${mapping.field}" does not exist on this instance, skipping`);
+        continue;
+      }
+
+      this.resolved.push({
+        ...mapping,
+        fieldId: definition.id,
+        schema: mapping.type ? { type: mapping.type } : definition.schema || {}
+      });
+    }
+
+    logger.debug(`Resolved ${this.resolved.length} of ${this.mappings.length} field mappings`);
+    return this.resolved;
+  }
+
+  // Lists the fields populated on a sample of the project's recent issues, so
+  // mappings can be written without opening any storage.
+  async discover(jiraClient, projectKey, sampleSize = 50) {
+    const definitions = await jiraClient.getFields();
+    const searchResult = await jiraClient.searchIssues(
+      `project = ${projectKey} ORDER BY updated DESC`,
+      0,
+      sampleSize,
+      { allFields: true }
+    );
+
+    const issues = searchResult?.issues || [];
+    const populated = {};
+
+    for (const issue of issues) {
+      for (const [fieldId, value] of Object.entries(issue.fields || {})) {
+        const isEmpty = value === null || (Array.isArray(value) && value.length === 0);
+        if (!isEmpty) {
+          populated[fieldId] = (populated[fieldId] || 0) + 1;
+        }
+      }
+    }
+
+    return definitions
+      .filter(def => populated[def.id])
+      .map(def => ({
+        id: def.id,
+        name: def.name,
+        custom: Boolean(def.custom),
+        type: def.schema?.items ? `${def.schema.type}<${def.schema.items}>` : def.schema?.type || 'unknown',
+        populated: populated[def.id],
+        sampled: issues.length,
+        mapped: this.mappings.some(m => m.field === def.id || m.field.toLowerCase() === def.name.toLowerCase())
+      }))
+      .sort((a, b) => Number(a.custom) - Number(b.custom) || b.populated - a.populated);
+  }
+
+  fieldIds() {
+    return (this.resolved || []).map(mapping => mapping.fieldId);
+  }
+
+  apply(fields, issueData) {
+    for (const mapping of this.resolved || []) {
+      const value = this.extractValue(fields[mapping.fieldId], mapping.schema);
+
+      if (mapping.target.startsWith('metadata.')) {
+        issueData.metadata = { ...issueData.metadata, [mapping.target.slice('metadata.'.length)]: value };
+      } else if (value !== null) {
+        issueData[mapping.target] = value;
+      }
+    }
+
+    return issueData;
+  }
+
+  extractValue(value, schema = {}) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (schema.type === 'array' || Array.isArray(value)) {
+      const items = Array.isArray(value) ? value : [value];
+      return items
+        .map(item => this.extractValue(item, { type: schema.items || 'any' }))
+        .filter(item => item !== null);
+    }
+
+    switch (schema.type) {
+      case 'date':
+      case 'datetime': {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value) : date.toISOString();
+      }
+
+      case 'number':
+        return typeof value === 'number' ? value : parseFloat(value);
+
+      case 'user':
+        return value.displayName || value.name || value.emailAddress || value.accountId || null;
+
+      case 'option':
+      case 'option-with-child':
+        return value.child?.value ? `${value.value} / ${value.child.value}` : value.value ?? null;
+
+      case 'version':
+      case 'component':
+      case 'project':
+        return value.name ?? null;
+
+      default:
+        return this.extractGeneric(value);
+    }
+  }
+
+  extractGeneric(value) {
+    if (typeof value !== 'object') {
+      return value;
+    }
+
+    if (value.child?.value) {
+      return `${value.value} / ${value.child.value}`;
+    }
+
+    return value.value ?? value.name ?? value.displayName ?? value.key ?? JSON.stringify(value);
+  }
+}
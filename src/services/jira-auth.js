@@ -0,0 +1,98 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+
+export class NoAuth {
+  async getHeaders() {
+    return {};
+  }
+}
+
+export class BasicAuth {
+  constructor({ username, password }) {
+    if (!username || !password) {
+      throw new Error('Basic auth requires username and password (or email and API token)');
+    }
+    this.credentials = Buffer.from(`${username}:${password}`).toString('base64');
+  }
+
+  async getHeaders() {
+    return { 'Authorization': `Basic ${this.credentials}` };
+  }
+}
+
+export class BearerAuth {
+  constructor({ token }) {
+    if (!token) {
+      throw new Error('Bearer auth requires a token');
+    }
+    this.token = token;
+  }
+
+  async getHeaders() {
+    return { 'Authorization': `Bearer ${this.token}` };
+  }
+}
+
+export class CookieSessionAuth {
+  constructor({ cookie, username, password }, baseUrl) {
+    if (!cookie && !(username && password)) {
+      throw new Error('Cookie auth requires a cookie or username and password');
+    }
+    this.cookie = cookie || null;
+    this.username = username;
+    this.password = password;
+    this.baseUrl = baseUrl;
+  }
+
+  async getHeaders() {
+    if (!this.cookie) {
+      await this.login();
+    }
+    return { 'Cookie': this.cookie };
+  }
+
+  async login() {
+    logger.info(`Creating Jira session for ${this.username}`);
+
+    const response = await axios.post(
+      `${this.baseUrl}/rest/auth/1/session`,
+      { username: this.username, password: this.password },
+      { timeout: 30000, headers: { 'Content-Type': 'application/json' } }
+    );
+
+    const session = response.data?.session;
+    if (!session?.name || !session?.value) {
+      throw new Error('Jira session login did not return a session cookie');
+    }
+
+    this.cookie = `${session.name}=${session.value}`;
+  }
+
+  // Returns true when a fresh session can be created on the next request.
+  invalidate() {
+    if (!this.username) {
+      return false;
+    }
+    this.cookie = null;
+    return true;
+  }
+}
+
+export function createAuth(authConfig = {}, baseUrl) {
+  switch (authConfig.type || 'none') {
+    case 'none':
+      return new NoAuth();
+    case 'basic':
+      return new BasicAuth({
+        username: authConfig.username || authConfig.email,
+        password: authConfig.password || authConfig.token
+      });
+    case 'bearer':
+    case 'pat':
+      return new BearerAuth(authConfig);
+    case 'cookie':
+      return new CookieSessionAuth(authConfig, baseUrl);
+    default:
+      throw new Error(`Unsupported Jira auth type: ${authConfig.type}`);
+  }
+}
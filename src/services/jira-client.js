@@ -1,14 +1,22 @@
 import axios from 'axios';
-import pRetry from 'p-retry';
+import pRetry, { AbortError } from 'p-retry';
 import PQueue from 'p-queue';
+import { createAuth } from './jira-auth.js';
 import { logger } from '../utils/logger.js';
 
 export class JiraClient {
   constructor(options = {}) {
-    this.baseUrl = options.baseUrl || 'https://issues.apache.org/jira/rest/api/2';
+    const source = options.source || null;
+
+    this.sourceName = source?.name || 'apache';
+    this.baseUrl = options.baseUrl || (source
+      ? `${source.baseUrl}/rest/api/${source.apiVersion || 2}`
+      : 'https://issues.apache.org/jira/rest/api/2');
+    this.apiVersion = source?.apiVersion || 2;
     this.maxRetries = options.maxRetries || 5;
     this.retryDelay = options.retryDelay || 1000;
-    this.rateLimit = options.rateLimit || 10;
+    this.rateLimit = options.rateLimit || source?.rateLimit || 10;
+    this.auth = createAuth(source?.auth, source?.baseUrl);
 
     this.queue = new PQueue({
       concurrency: 1,
@@ -25,11 +33,19 @@ export class JiraClient {
       }
     });
 
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      const authHeaders = await this.auth.getHeaders();
+      Object.assign(config.headers, authHeaders);
+      return config;
+    });
+
     this.requestCount = 0;
     this.errorCount = 0;
+    this.serverUtcOffsetMinutes = null;
+    this.fieldDefinitions = null;
   }
 
-  async makeRequest(url, params = {}) {
+  async makeRequest(url, params = {}, config = {}) {
     return this.queue.add(() =>
       pRetry(
         async () => {
@@ -37,11 +53,13 @@ export class JiraClient {
             this.requestCount++;
             logger.debug(`Making request to: ${url}`, { params });
 
-            const response = await this.axiosInstance.get(url, { params });
+            const response = await this.axiosInstance.get(url, { params, ...config });
 
             logger.debug(`Response received for: ${url}`, {
               status: response.status,
-              dataSize: JSON.stringify(response.data).length
+              dataSize: Buffer.isBuffer(response.data)
+                ? response.data.length
+                : JSON.stringify(response.data).length
             });
 
             return response.data;
@@ -64,6 +82,11 @@ export class JiraClient {
                 throw error;
               }
 
+              if (status === 401 && this.auth.invalidate?.()) {
+                logger.warn('Jira session expired (401). Re-authenticating...');
+                throw error;
+              }
+
               if (status === 404) {
                 logger.warn(`Resource not found (404): ${url}`);
                 return null;
@@ -71,10 +94,15 @@ export class JiraClient {
 
               if (status >= 400 && status < 500) {
                 logger.error(`Client error (${status}): ${error.response.data?.errorMessages || error.message}`);
-                throw new pRetry.AbortError(error);
+                throw new AbortError(error);
               }
             }
 
+            if (error.message?.includes('maxContentLength')) {
+              logger.warn(`Response too large: ${url}`);
+              throw new AbortError(error);
+            }
+
             if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
               logger.warn(`Request timeout. Retrying...`);
               throw error;
@@ -111,7 +139,7 @@ export class JiraClient {
     return this.makeRequest(`/project/${projectKey}`);
   }
 
-  async searchIssues(jql, startAt = 0, maxResults = 50) {
+  async searchIssues(jql, startAt = 0, maxResults = 50, options = {}) {
     logger.debug(`Searching issues: ${jql}`, { startAt, maxResults });
 
     const params = {
@@ -134,10 +162,23 @@ export class JiraClient {
         'created',
         'updated',
         'resolutiondate',
-        'comment'
+        'comment',
+        'attachment',
+        'issuelinks',
+        'subtasks',
+        'parent',
+        ...(options.fields || [])
       ].join(',')
     };
 
+    if (options.allFields) {
+      params.fields = '*all';
+    }
+
+    if (options.expand && options.expand.length > 0) {
+      params.expand = options.expand.join(',');
+    }
+
     const data = await this.makeRequest('/search', params);
 
     if (data) {
@@ -147,15 +188,117 @@ export class JiraClient {
     return data;
   }
 
-  async getIssue(issueKey) {
+  async getServerInfo() {
+    logger.debug('Fetching server info');
+    return this.makeRequest('/serverInfo');
+  }
+
+  async getServerUtcOffsetMinutes() {
+    if (this.serverUtcOffsetMinutes !== null) {
+      return this.serverUtcOffsetMinutes;
+    }
+
+    const info = await this.getServerInfo();
+    const match = info?.serverTime?.match(/([+-])(\d{2}):?(\d{2})$/);
+
+    if (match) {
+      const sign = match[1] === '-' ? -1 : 1;
+      this.serverUtcOffsetMinutes = sign * (parseInt(match[2]) * 60 + parseInt(match[3]));
+    } else {
+      logger.warn('Could not determine Jira server timezone, assuming UTC');
+      this.serverUtcOffsetMinutes = 0;
+    }
+
+    return this.serverUtcOffsetMinutes;
+  }
+
+  // JQL date literals are minute-precision and interpreted in the server's
+  // timezone, so the timestamp is shifted and floored before formatting.
+  async formatJqlDate(timestamp) {
+    const offset = await this.getServerUtcOffsetMinutes();
+    const shifted = new Date(new Date(timestamp).getTime() + offset * 60000);
+    const pad = n => String(n).padStart(2, '0');
+
+    return `${shifted.getUTCFullYear()}/${pad(shifted.getUTCMonth() + 1)}/${pad(shifted.getUTCDate())} ` +
+      `${pad(shifted.getUTCHours())}:${pad(shifted.getUTCMinutes())}`;
+  }
+
+  async getFields() {
+    if (!this.fieldDefinitions) {
+      logger.debug('Fetching field definitions');
+      this.fieldDefinitions = (await this.makeRequest('/field')) || [];
+    }
+    return this.fieldDefinitions;
+  }
+
+  async getIssue(issueKey, params = {}) {
     logger.debug(`Fetching issue: ${issueKey}`);
-    return this.makeRequest(`/issue/${issueKey}`);
+    return this.makeRequest(`/issue/${issueKey}`, params);
+  }
+
+  async getIssueChangelog(issueKey, pageSize = 100) {
+    logger.debug(`Fetching changelog for issue: ${issueKey}`);
+
+    // Jira Cloud pages changelogs through a dedicated endpoint; Jira Server
+    // does not have it (404) but returns the complete history when expanded.
+    const histories = [];
+    let startAt = 0;
+
+    while (true) {
+      const page = await this.makeRequest(`/issue/${issueKey}/changelog`, { startAt, maxResults: pageSize });
+
+      if (!page) {
+        break;
+      }
+
+      const values = page.values || [];
+      histories.push(...values);
+      startAt += values.length;
+
+      if (page.isLast || values.length === 0 || startAt >= page.total) {
+        return histories;
+      }
+    }
+
+    const issue = await this.getIssue(issueKey, { expand: 'changelog', fields: 'created' });
+    return issue?.changelog?.histories || [];
   }
 
-  async getIssueComments(issueKey) {
+  async getIssueComments(issueKey, pageSize = 100) {
     logger.debug(`Fetching comments for issue: ${issueKey}`);
-    const data = await this.makeRequest(`/issue/${issueKey}/comment`);
-    return data?.comments || [];
+
+    const comments = [];
+    let startAt = 0;
+
+    while (true) {
+      const data = await this.makeRequest(`/issue/${issueKey}/comment`, {
+        startAt,
+        maxResults: pageSize,
+        orderBy: 'created'
+      });
+
+      const page = data?.comments || [];
+      comments.push(...page);
+      startAt += page.length;
+
+      if (page.length === 0 || startAt >= (data.total ?? 0)) {
+        break;
+      }
+    }
+
+    return comments;
+  }
+
+  async downloadAttachment(contentUrl, maxBytes) {
+    logger.debug(`Downloading attachment: ${contentUrl}`);
+
+    const data = await this.makeRequest(contentUrl, {}, {
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes,
+      headers: { 'Accept': '*/*' }
+    });
+
+    return data ? Buffer.from(data) : null;
   }
 
   sleep(ms) {
@@ -1,54 +1,65 @@
 import { JiraClient } from './jira-client.js';
-import { DatabaseService } from './database.js';
+import { createDatabase } from './storage/index.js';
+import { AttachmentStore } from './attachment-store.js';
+import { FieldMapper } from './field-mapper.js';
+import { BotClassifier } from './bot-classifier.js';
+import { WikiMarkupConverter } from '../transformers/wiki-markup.js';
+import { AdfRenderer } from '../transformers/adf-renderer.js';
+import { parseStackTraces, wikiTraceText } from '../transformers/stack-trace.js';
 import { logger } from '../utils/logger.js';
 
+const TEXT_ATTACHMENT_EXTENSIONS = ['.patch', '.diff', '.log', '.txt'];
+
+// Jira Cloud identifies users by accountId, Server/Data Center by username.
+function accountOf(user) {
+  return user?.accountId || user?.name || null;
+}
+
 export class JiraScraper {
   constructor(options = {}) {
-    this.jiraClient = new JiraClient(options.jira);
-    this.db = new DatabaseService();
+    this.source = options.source || null;
+    this.jiraClient = new JiraClient({ ...options.jira, source: this.source });
+    this.db = createDatabase({ ...options.storage, source: this.source?.name });
     this.batchSize = options.batchSize || 50;
     this.maxIssues = options.maxIssues || null;
+    this.includeChangelog = options.includeChangelog !== false;
+    this.commentRefetchCount = 0;
+    this.downloadAttachments = options.downloadAttachments || false;
+    this.attachmentMaxBytes = options.attachmentMaxBytes || 1024 * 1024;
+    this.attachmentStore = new AttachmentStore({ baseDir: options.attachmentDir });
+    this.markupConverter = new WikiMarkupConverter();
+    this.adfRenderer = new AdfRenderer();
+    this.fieldMapper = new FieldMapper(this.source?.fieldMappings || []);
+    this.botClassifier = new BotClassifier({ authors: this.source?.botAuthors });
   }
 
   async scrapeProject(projectKey, resume = true) {
     logger.info(`Starting scrape for project: ${projectKey}`);
+    const commentRefetchesAtStart = this.commentRefetchCount;
 
     try {
       let state = null;
       if (resume) {
         state = await this.db.getScraperState(projectKey);
         if (state && state.status === 'completed') {
-          logger.info(`Project ${projectKey} already completed. Use resume=false to restart.`);
+          logger.info(`Project ${projectKey} already completed. Use resume=false to restart or sync to fetch updates.`);
           return state;
         }
       }
 
+      const startedAt = new Date().toISOString();
+
       await this.db.saveScraperState({
         project_key: projectKey,
         status: 'running',
-        started_at: new Date().toISOString(),
+        sync_mode: 'full',
+        started_at: startedAt,
         last_start_at: state?.last_start_at || 0,
-        total_issues_scraped: state?.total_issues_scraped || 0
-      });
-
-      const projectInfo = await this.jiraClient.getProject(projectKey);
-      if (!projectInfo) {
-        throw new Error(`Project ${projectKey} not found`);
-      }
-
-      const savedProject = await this.db.saveProject({
-        project_key: projectInfo.key,
-        project_name: projectInfo.name,
-        project_url: projectInfo.self,
-        description: projectInfo.description || '',
-        metadata: {
-          lead: projectInfo.lead?.displayName,
-          projectTypeKey: projectInfo.projectTypeKey,
-          avatarUrls: projectInfo.avatarUrls
-        }
+        total_issues_scraped: state?.total_issues_scraped || 0,
+        last_updated_watermark: state?.last_updated_watermark || startedAt
       });
 
-      logger.info(`Project metadata saved: ${projectInfo.name}`);
+      const savedProject = await this.saveProjectMetadata(projectKey);
 
       const jql = `project = ${projectKey} ORDER BY created ASC`;
       let startAt = state?.last_start_at || 0;
@@ -57,7 +68,7 @@ export class JiraScraper {
 
       while (hasMore) {
         try {
-          const searchResult = await this.jiraClient.searchIssues(jql, startAt, this.batchSize);
+          const searchResult = await this.jiraClient.searchIssues(jql, startAt, this.batchSize, this.getSearchOptions());
 
           if (!searchResult || !searchResult.issues || searchResult.issues.length === 0) {
             hasMore = false;
@@ -68,19 +79,12 @@ export class JiraScraper {
             `Processing batch: ${startAt} to ${startAt + searchResult.issues.length} of ${searchResult.total}`
           );
 
-          for (const issue of searchResult.issues) {
-            try {
-              await this.scrapeIssue(issue, savedProject.id);
-              totalScraped++;
+          const pageIssues = this.limitToMaxIssues(searchResult.issues, totalScraped);
+          totalScraped += await this.scrapeIssues(pageIssues, savedProject.id);
 
-              if (this.maxIssues && totalScraped >= this.maxIssues) {
-                logger.info(`Reached max issues limit: ${this.maxIssues}`);
-                hasMore = false;
-                break;
-              }
-            } catch (error) {
-              logger.error(`Error scraping issue ${issue.key}:`, error.message);
-            }
+          if (pageIssues.length < searchResult.issues.length) {
+            logger.info(`Reached max issues limit: ${this.maxIssues}`);
+            hasMore = false;
           }
 
           startAt += searchResult.issues.length;
@@ -129,6 +133,7 @@ export class JiraScraper {
       return {
         projectKey,
         totalIssues: totalScraped,
+        commentRefetches: this.commentRefetchCount - commentRefetchesAtStart,
         status: 'completed'
       };
 
@@ -145,28 +150,236 @@ export class JiraScraper {
     }
   }
 
-  async scrapeIssue(issue, projectId) {
+  async syncProject(projectKey) {
+    logger.info(`Starting incremental sync for project: ${projectKey}`);
+    const commentRefetchesAtStart = this.commentRefetchCount;
+
+    const state = await this.db.getScraperState(projectKey);
+    let watermark = state?.last_updated_watermark || null;
+    let totalScraped = 0;
+
+    try {
+      await this.db.saveScraperState({
+        project_key: projectKey,
+        status: 'running',
+        sync_mode: 'sync',
+        started_at: new Date().toISOString(),
+        last_updated_watermark: watermark
+      });
+
+      const savedProject = await this.saveProjectMetadata(projectKey);
+
+      logger.info(`Syncing ${projectKey} issues updated since ${watermark || 'the beginning'}`);
+
+      // Each page restarts the query from the newest watermark. The offset only
+      // skips issues already processed within the current minute, which JQL
+      // cannot distinguish, so it never grows beyond a single minute's worth.
+      let offset = 0;
+      let hasMore = true;
+
+      while (hasMore) {
+        const jql = await this.buildSyncJql(projectKey, watermark);
+        const searchResult = await this.jiraClient.searchIssues(jql, offset, this.batchSize, this.getSearchOptions());
+
+        if (!searchResult || !searchResult.issues || searchResult.issues.length === 0) {
+          break;
+        }
+
+        logger.info(
+          `Processing sync batch: ${searchResult.issues.length} issues updated since ${watermark || 'the beginning'}`
+        );
+
+        const processed = this.limitToMaxIssues(searchResult.issues, totalScraped);
+        if (processed.length === 0) {
+          break;
+        }
+
+        totalScraped += await this.scrapeIssues(processed, savedProject.id);
+
+        if (processed.length < searchResult.issues.length ||
+            (this.maxIssues && totalScraped >= this.maxIssues)) {
+          logger.info(`Reached max issues limit: ${this.maxIssues}`);
+          hasMore = false;
+        }
+
+        const lastIssue = processed[processed.length - 1];
+        const lastUpdated = lastIssue.fields?.updated;
+
+        if (offset + searchResult.issues.length >= searchResult.total) {
+          hasMore = false;
+        }
+
+        if (lastUpdated) {
+          const previousBound = watermark ? await this.jiraClient.formatJqlDate(watermark) : null;
+          const nextBound = await this.jiraClient.formatJqlDate(lastUpdated);
+
+          if (nextBound === previousBound) {
+            offset += processed.length;
+          } else {
+            offset = 0;
+            for (const issue of processed) {
+              if (issue.fields?.updated && await this.jiraClient.formatJqlDate(issue.fields.updated) === nextBound) {
+                offset++;
+              }
+            }
+          }
+
+          watermark = new Date(lastUpdated).toISOString();
+        } else {
+          offset += processed.length;
+        }
+
+        await this.db.saveScraperState({
+          project_key: projectKey,
+          status: 'running',
+          last_updated_watermark: watermark,
+          last_issue_key: lastIssue.key
+        });
+      }
+
+      await this.db.saveScraperState({
+        project_key: projectKey,
+        status: 'completed',
+        last_updated_watermark: watermark,
+        completed_at: new Date().toISOString()
+      });
+
+      logger.info(`Completed sync for project ${projectKey}. Issues updated: ${totalScraped}`);
+
+      return {
+        projectKey,
+        totalIssues: totalScraped,
+        commentRefetches: this.commentRefetchCount - commentRefetchesAtStart,
+        watermark,
+        status: 'completed'
+      };
+
+    } catch (error) {
+      logger.error(`Fatal error syncing project ${projectKey}:`, error);
+
+      await this.db.saveScraperState({
+        project_key: projectKey,
+        status: 'error',
+        last_updated_watermark: watermark,
+        error_message: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  async buildSyncJql(projectKey, watermark) {
+    if (!watermark) {
+      return `project = ${projectKey} ORDER BY updated ASC, key ASC`;
+    }
+
+    const since = await this.jiraClient.formatJqlDate(watermark);
+    return `project = ${projectKey} AND updated >= "${since}" ORDER BY updated ASC, key ASC`;
+  }
+
+  async saveProjectMetadata(projectKey) {
+    const projectInfo = await this.jiraClient.getProject(projectKey);
+    if (!projectInfo) {
+      throw new Error(`Project ${projectKey} not found`);
+    }
+
+    const savedProject = await this.db.saveProject({
+      project_key: projectInfo.key,
+      project_name: projectInfo.name,
+      project_url: projectInfo.self,
+      description: projectInfo.description || '',
+      metadata: {
+        lead: projectInfo.lead?.displayName,
+        projectTypeKey: projectInfo.projectTypeKey,
+        avatarUrls: projectInfo.avatarUrls
+      }
+    });
+
+    logger.info(`Project metadata saved: ${projectInfo.name}`);
+
+    await this.fieldMapper.resolve(this.jiraClient);
+
+    return savedProject;
+  }
+
+  limitToMaxIssues(issues, totalScraped) {
+    if (!this.maxIssues) {
+      return issues;
+    }
+    return issues.slice(0, Math.max(this.maxIssues - totalScraped, 0));
+  }
+
+  // Writes one search page: all issues in one batch, then the comments and
+  // history of every saved issue in one batch each.
+  async scrapeIssues(issues, projectId) {
+    const issuesData = issues.map(issue => this.buildIssueData(issue, projectId));
+    const savedIssues = await this.db.saveIssues(issuesData);
+    const issueIds = new Map(savedIssues.map(row => [row.issue_key, row.id]));
+
+    const commentsData = [];
+    const historyData = [];
+
+    for (const issue of issues) {
+      const issueId = issueIds.get(issue.key);
+
+      if (!issueId) {
+        logger.error(`Issue ${issue.key} was not saved, skipping its comments and history`);
+        continue;
+      }
+
+      try {
+        commentsData.push(...await this.buildCommentsData(issue, issueId));
+
+        await this.db.saveIssueLinks(issue.key, this.extractIssueLinks(issue));
+
+        if (issue.fields.attachment && issue.fields.attachment.length > 0) {
+          await this.scrapeAttachments(issue, issueId);
+        }
+
+        if (this.includeChangelog && issue.changelog) {
+          historyData.push(...await this.buildHistoryData(issue, issueId));
+        }
+      } catch (error) {
+        logger.error(`Error scraping issue ${issue.key}:`, error.message);
+      }
+    }
+
+    await this.db.saveComments(commentsData);
+    await this.db.saveIssueHistory(historyData);
+
+    logger.debug(`Saved ${issueIds.size} issues, ${commentsData.length} comments, ${historyData.length} history items`);
+
+    return issueIds.size;
+  }
+
+  buildIssueData(issue, projectId) {
     const fields = issue.fields;
+    const description = this.extractText(fields.description) || '';
 
     const issueData = {
       project_id: projectId,
       issue_key: issue.key,
       issue_id: issue.id,
       summary: fields.summary || '',
-      description: this.extractText(fields.description) || '',
+      description,
+      description_raw: this.extractRawText(fields.description),
       issue_type: fields.issuetype?.name || '',
       status: fields.status?.name || '',
       priority: fields.priority?.name || '',
       resolution: fields.resolution?.name || null,
       reporter: fields.reporter?.displayName || fields.reporter?.name || null,
+      reporter_account: accountOf(fields.reporter),
       assignee: fields.assignee?.displayName || fields.assignee?.name || null,
+      assignee_account: accountOf(fields.assignee),
       labels: fields.labels || [],
       components: fields.components?.map(c => c.name) || [],
       versions: fields.versions?.map(v => v.name) || [],
       fix_versions: fields.fixVersions?.map(v => v.name) || [],
+      stack_traces: parseStackTraces(this.extractTraceText(fields.description, description)),
       created_date: fields.created || null,
       updated_date: fields.updated || null,
       resolved_date: fields.resolutiondate || null,
+      comment_count: fields.comment?.total ?? fields.comment?.comments?.length ?? 0,
       metadata: {
         votes: fields.votes?.votes || 0,
         watches: fields.watches?.watchCount || 0,
@@ -174,51 +387,200 @@ export class JiraScraper {
       }
     };
 
-    const savedIssue = await this.db.saveIssue(issueData);
+    return this.fieldMapper.apply(fields, issueData);
+  }
+
+  async buildCommentsData(issue, issueId) {
+    const fields = issue.fields;
+    let comments = fields.comment?.comments || [];
+
+    // The search response embeds only the first page of a long thread.
+    if (fields.comment?.total > comments.length) {
+      logger.debug(`Comments for ${issue.key} truncated (${comments.length} of ${fields.comment.total}), fetching all pages`);
+      comments = await this.jiraClient.getIssueComments(issue.key);
+      this.commentRefetchCount++;
+    }
 
-    if (fields.comment?.comments && fields.comment.comments.length > 0) {
-      const commentsData = fields.comment.comments.map(comment => ({
-        issue_id: savedIssue.id,
+    return comments.map(comment => {
+      const data = {
+        issue_id: issueId,
         comment_id: comment.id,
         author: comment.author?.displayName || comment.author?.name || 'Unknown',
+        author_account: accountOf(comment.author),
         body: this.extractText(comment.body) || '',
+        body_raw: this.extractRawText(comment.body),
         created_date: comment.created || null,
         updated_date: comment.updated || null
-      }));
+      };
+
+      return {
+        ...data,
+        ...this.botClassifier.classify(data),
+        stack_traces: parseStackTraces(this.extractTraceText(comment.body, data.body))
+      };
+    });
+  }
+
+  async buildHistoryData(issue, issueId) {
+    let histories = issue.changelog.histories || [];
+
+    if (issue.changelog.total > histories.length) {
+      logger.debug(`Changelog for ${issue.key} truncated (${histories.length} of ${issue.changelog.total}), fetching full history`);
+      histories = await this.jiraClient.getIssueChangelog(issue.key);
+    }
 
-      await this.db.saveComments(commentsData);
-      logger.debug(`Saved ${commentsData.length} comments for issue ${issue.key}`);
+    const historyData = [];
+
+    for (const history of histories) {
+      (history.items || []).forEach((item, index) => {
+        historyData.push({
+          issue_id: issueId,
+          history_id: history.id,
+          item_index: index,
+          author: history.author?.displayName || history.author?.name || null,
+          author_account: accountOf(history.author),
+          field: item.field,
+          field_type: item.fieldtype || null,
+          from_value: item.from ?? null,
+          from_string: item.fromString ?? null,
+          to_value: item.to ?? null,
+          // `toString` would otherwise resolve to Object.prototype.toString
+          to_string: typeof item.toString === 'string' ? item.toString : null,
+          created_date: history.created || null
+        });
+      });
     }
 
-    logger.debug(`Saved issue: ${issue.key}`);
+    return historyData;
   }
 
-  extractText(content) {
-    if (!content) return '';
-    if (typeof content === 'string') return content;
+  async scrapeAttachments(issue, issueId) {
+    const attachments = issue.fields.attachment;
+    const storedHashes = this.downloadAttachments
+      ? await this.db.getAttachmentHashes(issueId, attachments.map(a => a.id))
+      : {};
+
+    const attachmentsData = [];
+
+    for (const attachment of attachments) {
+      const attachmentData = {
+        issue_id: issueId,
+        attachment_id: attachment.id,
+        filename: attachment.filename,
+        size: attachment.size ?? null,
+        mime_type: attachment.mimeType || null,
+        author: attachment.author?.displayName || attachment.author?.name || null,
+        author_account: accountOf(attachment.author),
+        created_date: attachment.created || null,
+        content_url: attachment.content || null,
+        content_hash: storedHashes[attachment.id] || null
+      };
 
-    if (content.type === 'doc' && content.content) {
-      return this.extractTextFromADF(content);
+      if (this.downloadAttachments && !attachmentData.content_hash && this.isDownloadableAttachment(attachment)) {
+        try {
+          const content = await this.jiraClient.downloadAttachment(attachment.content, this.attachmentMaxBytes);
+          if (content) {
+            const { contentHash } = await this.attachmentStore.save(content);
+            attachmentData.content_hash = contentHash;
+          }
+        } catch (error) {
+          logger.warn(`Could not download attachment ${attachment.filename} of ${issue.key}: ${error.message}`);
+        }
+      }
+
+      attachmentsData.push(attachmentData);
     }
 
-    return '';
+    await this.db.saveAttachments(attachmentsData);
+    logger.debug(`Saved ${attachmentsData.length} attachments for issue ${issue.key}`);
+  }
+
+  isDownloadableAttachment(attachment) {
+    if (!attachment.content || !(attachment.size <= this.attachmentMaxBytes)) {
+      return false;
+    }
+
+    const filename = (attachment.filename || '').toLowerCase();
+    return TEXT_ATTACHMENT_EXTENSIONS.some(ext => filename.endsWith(ext)) ||
+      (attachment.mimeType || '').startsWith('text/');
   }
 
-  extractTextFromADF(node) {
-    if (!node) return '';
+  extractIssueLinks(issue) {
+    const fields = issue.fields;
+    const links = [];
+
+    const addLink = (target, linkType, direction, relation, linkId = null) => {
+      if (!target?.key) return;
+
+      links.push({
+        source_issue_key: issue.key,
+        target_issue_key: target.key,
+        target_project_key: target.key.split('-')[0],
+        link_type: linkType,
+        direction,
+        relation,
+        link_id: linkId,
+        target_summary: target.fields?.summary || null,
+        target_status: target.fields?.status?.name || null,
+        target_issue_type: target.fields?.issuetype?.name || null
+      });
+    };
+
+    for (const link of fields.issuelinks || []) {
+      if (link.outwardIssue) {
+        addLink(link.outwardIssue, link.type?.name, 'outward', link.type?.outward, link.id);
+      }
+      if (link.inwardIssue) {
+        addLink(link.inwardIssue, link.type?.name, 'inward', link.type?.inward, link.id);
+      }
+    }
+
+    for (const subtask of fields.subtasks || []) {
+      addLink(subtask, 'Subtask', 'outward', 'has subtask');
+    }
 
-    if (node.text) {
-      return node.text;
+    if (fields.parent) {
+      const isEpic = fields.parent.fields?.issuetype?.name === 'Epic';
+      addLink(
+        fields.parent,
+        isEpic ? 'Epic' : 'Subtask',
+        'inward',
+        isEpic ? 'belongs to epic' : 'is subtask of'
+      );
     }
 
-    if (node.content && Array.isArray(node.content)) {
-      return node.content.map(child => this.extractTextFromADF(child)).join('\n');
+    return links;
+  }
+
+  getSearchOptions() {
+    return {
+      expand: this.includeChangelog ? ['changelog'] : [],
+      fields: this.fieldMapper.fieldIds()
+    };
+  }
+
+  extractText(content) {
+    if (!content) return '';
+    if (typeof content === 'string') return this.markupConverter.convert(content);
+
+    if (content.type === 'doc' && content.content) {
+      return this.adfRenderer.render(content);
     }
 
     return '';
   }
 
-  async scrapeMultipleProjects(projectKeys, resume = true) {
+  extractRawText(content) {
+    if (!content) return null;
+    return typeof content === 'string' ? content : JSON.stringify(content);
+  }
+
+  // Rendered ADF keeps text as written; wiki markup is read raw.
+  extractTraceText(content, text) {
+    return typeof content === 'string' ? wikiTraceText(content) : text;
+  }
+
+  async scrapeMultipleProjects(projectKeys, resume = true, mode = 'full') {
     const results = [];
 
     for (const projectKey of projectKeys) {
@@ -227,7 +589,9 @@ export class JiraScraper {
         logger.info(`Starting project: ${projectKey}`);
         logger.info('='.repeat(60));
 
-        const result = await this.scrapeProject(projectKey, resume);
+        const result = mode === 'sync'
+          ? await this.syncProject(projectKey)
+          : await this.scrapeProject(projectKey, resume);
         results.push(result);
 
         logger.info(`\nCompleted ${projectKey}: ${result.totalIssues} issues scraped`);
@@ -0,0 +1,18 @@
+import { SupabaseDatabase } from './supabase-database.js';
+import { SqliteDatabase } from './sqlite-database.js';
+
+export const STORAGE_BACKENDS = {
+  supabase: SupabaseDatabase,
+  sqlite: SqliteDatabase
+};
+
+export function createDatabase(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'supabase';
+  const Backend = STORAGE_BACKENDS[backend];
+
+  if (!Backend) {
+    throw new Error(`Unknown storage backend: ${backend}. Available: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+
+  return new Backend(options);
+}
@@ -0,0 +1,505 @@
+import { openSqlite } from '../../lib/sqlite.js';
+import { DatabaseService } from '../database.js';
+import { logger } from '../../utils/logger.js';
+
+const connections = new Map();
+
+function getConnection(filePath) {
+  if (!connections.has(filePath)) {
+    connections.set(filePath, openSqlite(filePath));
+  }
+  return connections.get(filePath);
+}
+
+export class SqliteDatabase extends DatabaseService {
+  constructor(options = {}) {
+    super(options);
+    this.path = options.path || process.env.SQLITE_PATH || './data/jira.db';
+
+    const { db, schema } = getConnection(this.path);
+    this.db = db;
+    this.schema = schema;
+  }
+
+  serialize(table, row) {
+    const jsonColumns = this.schema.jsonColumns[table] || new Set();
+    const timestampColumns = this.schema.timestampColumns[table] || new Set();
+    const values = {};
+
+    // Like PostgREST, keys left undefined are not written at all.
+    for (const [column, value] of Object.entries(row)) {
+      if (value === undefined) continue;
+
+      if (value === null) {
+        values[column] = null;
+      } else if (jsonColumns.has(column)) {
+        values[column] = JSON.stringify(value);
+      } else if (timestampColumns.has(column)) {
+        const date = new Date(value);
+        values[column] = isNaN(date.getTime()) ? String(value) : date.toISOString();
+      } else if (typeof value === 'boolean') {
+        values[column] = value ? 1 : 0;
+      } else if (typeof value === 'object') {
+        values[column] = JSON.stringify(value);
+      } else {
+        values[column] = value;
+      }
+    }
+
+    return values;
+  }
+
+  deserialize(table, row) {
+    if (!row) return null;
+
+    const jsonColumns = this.schema.jsonColumns[table] || new Set();
+    const booleanColumns = this.schema.booleanColumns[table] || new Set();
+    const result = { ...row };
+
+    for (const column of jsonColumns) {
+      if (typeof result[column] === 'string') {
+        try {
+          result[column] = JSON.parse(result[column]);
+        } catch {
+          logger.warn(`Invalid JSON in ${table}.${column}`);
+        }
+      }
+    }
+
+    // SQLite stores booleans as 0/1.
+    for (const column of booleanColumns) {
+      if (typeof result[column] === 'number') {
+        result[column] = result[column] === 1;
+      }
+    }
+
+    return result;
+  }
+
+  upsert(table, rows, conflictColumns, { ignoreDuplicates = false } = {}) {
+    const saved = [];
+
+    this.db.exec('BEGIN');
+
+    try {
+      for (const row of rows) {
+        const values = this.serialize(table, row);
+        const columns = Object.keys(values);
+        const updates = columns
+          .filter(column => !conflictColumns.includes(column))
+          .map(column => `${column} = excluded.${column}`);
+
+        const conflictAction = ignoreDuplicates || updates.length === 0
+          ? 'DO NOTHING'
+          : `DO UPDATE SET ${updates.join(', ')}`;
+
+        const statement = this.db.prepare(
+          `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+          `ON CONFLICT (${conflictColumns.join(', ')}) ${conflictAction} RETURNING *`
+        );
+
+        const result = statement.get(...columns.map(column => values[column]));
+        if (result) {
+          saved.push(this.deserialize(table, result));
+        }
+      }
+
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+
+    return saved;
+  }
+
+  select(table, sql, params = []) {
+    return this.db.prepare(sql).all(...params).map(row => this.deserialize(table, row));
+  }
+
+  async saveProject(projectData) {
+    try {
+      const [data] = this.upsert('projects', [{
+        source: this.source,
+        project_key: projectData.project_key,
+        project_name: projectData.project_name,
+        project_url: projectData.project_url,
+        description: projectData.description,
+        metadata: projectData.metadata,
+        updated_at: new Date().toISOString()
+      }], ['source', 'project_key']);
+
+      logger.debug(`Saved project: ${projectData.project_key}`);
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save project ${projectData.project_key}:`, error);
+      throw error;
+    }
+  }
+
+  async getProject(projectKey) {
+    const [data] = this.select(
+      'projects',
+      'SELECT * FROM projects WHERE source = ? AND project_key = ?',
+      [this.source, projectKey]
+    );
+    return data || null;
+  }
+
+  toIssueRow(issueData) {
+    return {
+      source: this.source,
+      project_id: issueData.project_id,
+      issue_key: issueData.issue_key,
+      issue_id: issueData.issue_id,
+      summary: issueData.summary,
+      description: issueData.description,
+      description_raw: issueData.description_raw,
+      issue_type: issueData.issue_type,
+      status: issueData.status,
+      priority: issueData.priority,
+      resolution: issueData.resolution,
+      reporter: issueData.reporter,
+      reporter_account: issueData.reporter_account ?? null,
+      assignee: issueData.assignee,
+      assignee_account: issueData.assignee_account ?? null,
+      labels: issueData.labels,
+      components: issueData.components,
+      versions: issueData.versions,
+      fix_versions: issueData.fix_versions,
+      stack_traces: issueData.stack_traces ?? null,
+      created_date: issueData.created_date,
+      updated_date: issueData.updated_date,
+      resolved_date: issueData.resolved_date,
+      comment_count: issueData.comment_count,
+      metadata: issueData.metadata,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  async saveIssue(issueData) {
+    try {
+      const [data] = this.upsert('issues', [this.toIssueRow(issueData)], ['source', 'issue_key']);
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save issue ${issueData.issue_key}:`, error);
+      throw error;
+    }
+  }
+
+  async saveIssues(issuesData) {
+    if (!issuesData || issuesData.length === 0) {
+      return [];
+    }
+
+    return this.writeInChunks(
+      issuesData,
+      async (chunk) => this.upsert('issues', chunk.map(issueData => this.toIssueRow(issueData)), ['source', 'issue_key']),
+      issueData => `issue ${issueData.issue_key}`
+    );
+  }
+
+  async saveComments(commentsData) {
+    if (!commentsData || commentsData.length === 0) {
+      return [];
+    }
+
+    return this.writeInChunks(
+      commentsData,
+      async (chunk) => this.upsert('comments', chunk.map(comment => ({
+        issue_id: comment.issue_id,
+        comment_id: comment.comment_id,
+        author: comment.author,
+        author_account: comment.author_account ?? null,
+        body: comment.body,
+        body_raw: comment.body_raw,
+        created_date: comment.created_date,
+        updated_date: comment.updated_date,
+        is_bot: comment.is_bot ?? null,
+        bot_kind: comment.bot_kind ?? null,
+        stack_traces: comment.stack_traces ?? null,
+        created_at: new Date().toISOString()
+      })), ['issue_id', 'comment_id']),
+      comment => `comment ${comment.comment_id}`
+    );
+  }
+
+  async saveIssueHistory(historyData) {
+    if (!historyData || historyData.length === 0) {
+      return [];
+    }
+
+    try {
+      return this.upsert('issue_history', historyData.map(item => ({
+        issue_id: item.issue_id,
+        history_id: item.history_id,
+        item_index: item.item_index,
+        author: item.author,
+        author_account: item.author_account ?? null,
+        field: item.field,
+        field_type: item.field_type,
+        from_value: item.from_value,
+        from_string: item.from_string,
+        to_value: item.to_value,
+        to_string: item.to_string,
+        created_date: item.created_date,
+        created_at: new Date().toISOString()
+      })), ['issue_id', 'history_id', 'item_index'], { ignoreDuplicates: true });
+    } catch (error) {
+      logger.error(`Failed to save issue history:`, error);
+      throw error;
+    }
+  }
+
+  async getIssueHistory(issueId, field = null) {
+    const conditions = ['issue_id = ?'];
+    const params = [issueId];
+
+    if (field) {
+      conditions.push('field = ?');
+      params.push(field);
+    }
+
+    return this.select(
+      'issue_history',
+      `SELECT * FROM issue_history WHERE ${conditions.join(' AND ')} ORDER BY created_date, item_index`,
+      params
+    );
+  }
+
+  async saveAttachments(attachmentsData) {
+    if (!attachmentsData || attachmentsData.length === 0) {
+      return [];
+    }
+
+    try {
+      return this.upsert('attachments', attachmentsData.map(attachment => ({
+        issue_id: attachment.issue_id,
+        attachment_id: attachment.attachment_id,
+        filename: attachment.filename,
+        size: attachment.size,
+        mime_type: attachment.mime_type,
+        author: attachment.author,
+        author_account: attachment.author_account ?? null,
+        created_date: attachment.created_date,
+        content_url: attachment.content_url,
+        content_hash: attachment.content_hash,
+        updated_at: new Date().toISOString()
+      })), ['issue_id', 'attachment_id']);
+    } catch (error) {
+      logger.error(`Failed to save attachments:`, error);
+      throw error;
+    }
+  }
+
+  async getAttachmentHashes(issueId, attachmentIds) {
+    if (!attachmentIds || attachmentIds.length === 0) {
+      return {};
+    }
+
+    const rows = this.select(
+      'attachments',
+      `SELECT attachment_id, content_hash FROM attachments
+       WHERE issue_id = ? AND content_hash IS NOT NULL
+       AND attachment_id IN (${attachmentIds.map(() => '?').join(', ')})`,
+      [issueId, ...attachmentIds]
+    );
+
+    return Object.fromEntries(rows.map(row => [row.attachment_id, row.content_hash]));
+  }
+
+  async saveIssueLinks(sourceIssueKey, linksData) {
+    try {
+      this.db.prepare('DELETE FROM issue_links WHERE source = ? AND source_issue_key = ?')
+        .run(this.source, sourceIssueKey);
+
+      if (!linksData || linksData.length === 0) {
+        return [];
+      }
+
+      return this.upsert('issue_links', linksData.map(link => ({
+        source: this.source,
+        source_issue_key: link.source_issue_key,
+        target_issue_key: link.target_issue_key,
+        target_project_key: link.target_project_key,
+        link_type: link.link_type,
+        direction: link.direction,
+        relation: link.relation,
+        link_id: link.link_id,
+        target_summary: link.target_summary,
+        target_status: link.target_status,
+        target_issue_type: link.target_issue_type,
+        created_at: new Date().toISOString()
+      })), ['source', 'source_issue_key', 'target_issue_key', 'link_type', 'direction']);
+    } catch (error) {
+      logger.error(`Failed to save links for ${sourceIssueKey}:`, error);
+      throw error;
+    }
+  }
+
+  async getIssueLinks(issueKey, linkTypes = null) {
+    const params = [this.source, issueKey, issueKey];
+    let sql = 'SELECT * FROM issue_links WHERE source = ? AND (source_issue_key = ? OR target_issue_key = ?)';
+
+    if (linkTypes) {
+      sql += ` AND link_type IN (${linkTypes.map(() => '?').join(', ')})`;
+      params.push(...linkTypes);
+    }
+
+    return this.select('issue_links', sql, params);
+  }
+
+  async getScraperState(projectKey) {
+    const [data] = this.select(
+      'scraper_state',
+      'SELECT * FROM scraper_state WHERE source = ? AND project_key = ?',
+      [this.source, projectKey]
+    );
+    return data || null;
+  }
+
+  async saveScraperState(stateData) {
+    try {
+      const [data] = this.upsert('scraper_state', [{
+        source: this.source,
+        project_key: stateData.project_key,
+        last_issue_key: stateData.last_issue_key,
+        last_start_at: stateData.last_start_at,
+        total_issues_scraped: stateData.total_issues_scraped,
+        status: stateData.status,
+        error_message: stateData.error_message,
+        started_at: stateData.started_at,
+        completed_at: stateData.completed_at,
+        sync_mode: stateData.sync_mode,
+        last_updated_watermark: stateData.last_updated_watermark,
+        updated_at: new Date().toISOString()
+      }], ['source', 'project_key']);
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save scraper state for ${stateData.project_key}:`, error);
+      throw error;
+    }
+  }
+
+  async getExportPage(filters, cursor, pageSize, options = {}) {
+    const { conditions, params } = this.exportConditions(filters);
+
+    // SQLite sorts NULLs first; order them last to match Postgres.
+    if (cursor && cursor.created_date === null) {
+      conditions.push('i.created_date IS NULL AND i.id > ?');
+      params.push(cursor.id);
+    } else if (cursor) {
+      const createdDate = this.serialize('issues', { created_date: cursor.created_date }).created_date;
+      conditions.push('(i.created_date > ? OR (i.created_date = ? AND i.id > ?) OR i.created_date IS NULL)');
+      params.push(createdDate, createdDate, cursor.id);
+    }
+
+    const issues = this.select(
+      'issues',
+      `SELECT i.* FROM issues i JOIN projects p ON p.id = i.project_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY i.created_date IS NULL, i.created_date, i.id
+       LIMIT ?`,
+      [...params, pageSize]
+    );
+
+    if (issues.length === 0) {
+      return [];
+    }
+
+    const issueIds = issues.map(issue => issue.id);
+    const projectIds = [...new Set(issues.map(issue => issue.project_id))];
+
+    const projects = new Map(
+      this.select(
+        'projects',
+        `SELECT * FROM projects WHERE id IN (${projectIds.map(() => '?').join(', ')})`,
+        projectIds
+      ).map(project => [project.id, project])
+    );
+
+    const childRows = (table, orderBy) => {
+      const grouped = new Map();
+      const rows = this.select(
+        table,
+        `SELECT * FROM ${table} WHERE issue_id IN (${issueIds.map(() => '?').join(', ')}) ORDER BY ${orderBy}`,
+        issueIds
+      );
+
+      for (const row of rows) {
+        if (!grouped.has(row.issue_id)) grouped.set(row.issue_id, []);
+        grouped.get(row.issue_id).push(row);
+      }
+
+      return grouped;
+    };
+
+    const comments = options.includeComments === false ? new Map() : childRows('comments', 'created_date');
+    const history = options.includeHistory ? childRows('issue_history', 'created_date, item_index') : null;
+    const attachments = options.includeAttachments ? childRows('attachments', 'created_date') : null;
+
+    return issues.map(issue => ({
+      ...issue,
+      project: projects.get(issue.project_id) || null,
+      comments: comments.get(issue.id) || [],
+      ...(history && { issue_history: history.get(issue.id) || [] }),
+      ...(attachments && { attachments: attachments.get(issue.id) || [] })
+    }));
+  }
+
+  async getExportCount(filters) {
+    const { conditions, params } = this.exportConditions(filters);
+
+    return this.db.prepare(
+      `SELECT COUNT(*) AS count FROM issues i JOIN projects p ON p.id = i.project_id WHERE ${conditions.join(' AND ')}`
+    ).get(...params).count;
+  }
+
+  exportConditions(filters) {
+    const conditions = ['i.source = ?'];
+    const params = [this.source];
+
+    const add = (condition, ...values) => {
+      conditions.push(condition);
+      params.push(...values);
+    };
+
+    const placeholders = list => list.map(() => '?').join(', ');
+
+    if (filters.projectKey) add('p.project_key = ?', filters.projectKey);
+    if (filters.createdFrom) add('i.created_date >= ?', filters.createdFrom);
+    if (filters.createdBefore) add('i.created_date < ?', filters.createdBefore);
+    if (filters.resolvedFrom) add('i.resolved_date >= ?', filters.resolvedFrom);
+    if (filters.resolvedBefore) add('i.resolved_date < ?', filters.resolvedBefore);
+    if (filters.issueTypes) add(`i.issue_type IN (${placeholders(filters.issueTypes)})`, ...filters.issueTypes);
+    if (filters.statuses) add(`i.status IN (${placeholders(filters.statuses)})`, ...filters.statuses);
+    if (filters.resolutions) add(`i.resolution IN (${placeholders(filters.resolutions)})`, ...filters.resolutions);
+    if (filters.minComments) add('i.comment_count >= ?', filters.minComments);
+
+    // Array columns are JSON text; match if any element is in the list.
+    for (const column of ['components', 'labels']) {
+      if (filters[column]) {
+        add(
+          `EXISTS (SELECT 1 FROM json_each(i.${column}) WHERE value IN (${placeholders(filters[column])}))`,
+          ...filters[column]
+        );
+      }
+    }
+
+    return { conditions, params };
+  }
+
+  async getIssueCount(projectKey = null) {
+    if (projectKey) {
+      const project = await this.getProject(projectKey);
+      if (!project) {
+        return 0;
+      }
+
+      return this.db.prepare('SELECT COUNT(*) AS count FROM issues WHERE project_id = ?').get(project.id).count;
+    }
+
+    return this.db.prepare('SELECT COUNT(*) AS count FROM issues WHERE source = ?').get(this.source).count;
+  }
+}
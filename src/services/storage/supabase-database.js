@@ -0,0 +1,557 @@
+import { getSupabase } from '../../lib/supabase.js';
+import { DatabaseService } from '../database.js';
+import { logger } from '../../utils/logger.js';
+
+// postgrest-js joins array filter values without quoting, which breaks on
+// names containing commas or braces.
+function toArrayLiteral(values) {
+  return `{${values.map(value => `"${value.replace(/["\\]/g, '\\$&')}"`).join(',')}}`;
+}
+
+export class SupabaseDatabase extends DatabaseService {
+  constructor(options = {}) {
+    super(options);
+    this.client = getSupabase();
+  }
+
+  async saveProject(projectData) {
+    try {
+      const { data, error } = await this.client
+        .from('projects')
+        .upsert(
+          {
+            source: this.source,
+            project_key: projectData.project_key,
+            project_name: projectData.project_name,
+            project_url: projectData.project_url,
+            description: projectData.description,
+            metadata: projectData.metadata,
+            updated_at: new Date().toISOString()
+          },
+          {
+            onConflict: 'source,project_key',
+            ignoreDuplicates: false
+          }
+        )
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error saving project ${projectData.project_key}:`, error);
+        throw error;
+      }
+
+      logger.debug(`Saved project: ${projectData.project_key}`);
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save project ${projectData.project_key}:`, error);
+      throw error;
+    }
+  }
+
+  async getProject(projectKey) {
+    const { data, error } = await this.client
+      .from('projects')
+      .select('*')
+      .eq('source', this.source)
+      .eq('project_key', projectKey)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching project ${projectKey}:`, error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  toIssueRow(issueData) {
+    return {
+      source: this.source,
+      project_id: issueData.project_id,
+      issue_key: issueData.issue_key,
+      issue_id: issueData.issue_id,
+      summary: issueData.summary,
+      description: issueData.description,
+      description_raw: issueData.description_raw,
+      issue_type: issueData.issue_type,
+      status: issueData.status,
+      priority: issueData.priority,
+      resolution: issueData.resolution,
+      reporter: issueData.reporter,
+      reporter_account: issueData.reporter_account ?? null,
+      assignee: issueData.assignee,
+      assignee_account: issueData.assignee_account ?? null,
+      labels: issueData.labels,
+      components: issueData.components,
+      versions: issueData.versions,
+      fix_versions: issueData.fix_versions,
+      stack_traces: issueData.stack_traces ?? null,
+      created_date: issueData.created_date,
+      updated_date: issueData.updated_date,
+      resolved_date: issueData.resolved_date,
+      comment_count: issueData.comment_count,
+      metadata: issueData.metadata,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  async saveIssue(issueData) {
+    try {
+      const { data, error } = await this.client
+        .from('issues')
+        .upsert(
+          this.toIssueRow(issueData),
+          {
+            onConflict: 'source,issue_key',
+            ignoreDuplicates: false
+          }
+        )
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error saving issue ${issueData.issue_key}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save issue ${issueData.issue_key}:`, error);
+      throw error;
+    }
+  }
+
+  async saveIssues(issuesData) {
+    if (!issuesData || issuesData.length === 0) {
+      return [];
+    }
+
+    return this.writeInChunks(
+      issuesData,
+      async (chunk) => {
+        const { data, error } = await this.client
+          .from('issues')
+          .upsert(
+            chunk.map(issueData => this.toIssueRow(issueData)),
+            {
+              onConflict: 'source,issue_key',
+              ignoreDuplicates: false
+            }
+          )
+          .select();
+
+        if (error) {
+          throw error;
+        }
+
+        return data;
+      },
+      issueData => `issue ${issueData.issue_key}`
+    );
+  }
+
+  async saveComments(commentsData) {
+    if (!commentsData || commentsData.length === 0) {
+      return [];
+    }
+
+    return this.writeInChunks(
+      commentsData,
+      async (chunk) => {
+        const { data, error } = await this.client
+          .from('comments')
+          .upsert(
+            chunk.map(comment => ({
+              issue_id: comment.issue_id,
+              comment_id: comment.comment_id,
+              author: comment.author,
+              author_account: comment.author_account ?? null,
+              body: comment.body,
+              body_raw: comment.body_raw,
+              created_date: comment.created_date,
+              updated_date: comment.updated_date,
+              is_bot: comment.is_bot ?? null,
+              bot_kind: comment.bot_kind ?? null,
+              stack_traces: comment.stack_traces ?? null,
+              created_at: new Date().toISOString()
+            })),
+            {
+              onConflict: 'issue_id,comment_id',
+              ignoreDuplicates: false
+            }
+          )
+          .select();
+
+        if (error) {
+          throw error;
+        }
+
+        return data;
+      },
+      comment => `comment ${comment.comment_id}`
+    );
+  }
+
+  async saveIssueHistory(historyData) {
+    if (!historyData || historyData.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('issue_history')
+        .upsert(
+          historyData.map(item => ({
+            issue_id: item.issue_id,
+            history_id: item.history_id,
+            item_index: item.item_index,
+            author: item.author,
+            author_account: item.author_account ?? null,
+            field: item.field,
+            field_type: item.field_type,
+            from_value: item.from_value,
+            from_string: item.from_string,
+            to_value: item.to_value,
+            to_string: item.to_string,
+            created_date: item.created_date,
+            created_at: new Date().toISOString()
+          })),
+          {
+            onConflict: 'issue_id,history_id,item_index',
+            ignoreDuplicates: true
+          }
+        )
+        .select();
+
+      if (error) {
+        logger.error(`Error saving issue history:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save issue history:`, error);
+      throw error;
+    }
+  }
+
+  async getIssueHistory(issueId, field = null) {
+    let query = this.client
+      .from('issue_history')
+      .select('*')
+      .eq('issue_id', issueId)
+      .order('created_date', { ascending: true })
+      .order('item_index', { ascending: true });
+
+    if (field) {
+      query = query.eq('field', field);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error(`Error fetching history for issue ${issueId}:`, error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  async saveAttachments(attachmentsData) {
+    if (!attachmentsData || attachmentsData.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.client
+        .from('attachments')
+        .upsert(
+          attachmentsData.map(attachment => ({
+            issue_id: attachment.issue_id,
+            attachment_id: attachment.attachment_id,
+            filename: attachment.filename,
+            size: attachment.size,
+            mime_type: attachment.mime_type,
+            author: attachment.author,
+            author_account: attachment.author_account ?? null,
+            created_date: attachment.created_date,
+            content_url: attachment.content_url,
+            content_hash: attachment.content_hash,
+            updated_at: new Date().toISOString()
+          })),
+          {
+            onConflict: 'issue_id,attachment_id',
+            ignoreDuplicates: false
+          }
+        )
+        .select();
+
+      if (error) {
+        logger.error(`Error saving attachments:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save attachments:`, error);
+      throw error;
+    }
+  }
+
+  async getAttachmentHashes(issueId, attachmentIds) {
+    if (!attachmentIds || attachmentIds.length === 0) {
+      return {};
+    }
+
+    const { data, error } = await this.client
+      .from('attachments')
+      .select('attachment_id, content_hash')
+      .eq('issue_id', issueId)
+      .in('attachment_id', attachmentIds)
+      .not('content_hash', 'is', null);
+
+    if (error) {
+      logger.error(`Error fetching attachment hashes:`, error);
+      throw error;
+    }
+
+    return Object.fromEntries(data.map(row => [row.attachment_id, row.content_hash]));
+  }
+
+  async saveIssueLinks(sourceIssueKey, linksData) {
+    try {
+      // Links removed in Jira must disappear here too, so the source issue's
+      // edges are replaced rather than merged.
+      const { error: deleteError } = await this.client
+        .from('issue_links')
+        .delete()
+        .eq('source', this.source)
+        .eq('source_issue_key', sourceIssueKey);
+
+      if (deleteError) {
+        logger.error(`Error clearing links for ${sourceIssueKey}:`, deleteError);
+        throw deleteError;
+      }
+
+      if (!linksData || linksData.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await this.client
+        .from('issue_links')
+        .upsert(
+          linksData.map(link => ({
+            source: this.source,
+            source_issue_key: link.source_issue_key,
+            target_issue_key: link.target_issue_key,
+            target_project_key: link.target_project_key,
+            link_type: link.link_type,
+            direction: link.direction,
+            relation: link.relation,
+            link_id: link.link_id,
+            target_summary: link.target_summary,
+            target_status: link.target_status,
+            target_issue_type: link.target_issue_type,
+            created_at: new Date().toISOString()
+          })),
+          {
+            onConflict: 'source,source_issue_key,target_issue_key,link_type,direction',
+            ignoreDuplicates: false
+          }
+        )
+        .select();
+
+      if (error) {
+        logger.error(`Error saving links for ${sourceIssueKey}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save links for ${sourceIssueKey}:`, error);
+      throw error;
+    }
+  }
+
+  async getIssueLinks(issueKey, linkTypes = null) {
+    let query = this.client
+      .from('issue_links')
+      .select('*')
+      .eq('source', this.source)
+      .or(`source_issue_key.eq.${issueKey},target_issue_key.eq.${issueKey}`);
+
+    if (linkTypes) {
+      query = query.in('link_type', linkTypes);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error(`Error fetching links for ${issueKey}:`, error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  async getScraperState(projectKey) {
+    const { data, error } = await this.client
+      .from('scraper_state')
+      .select('*')
+      .eq('source', this.source)
+      .eq('project_key', projectKey)
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Error fetching scraper state for ${projectKey}:`, error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  async saveScraperState(stateData) {
+    try {
+      const { data, error } = await this.client
+        .from('scraper_state')
+        .upsert(
+          {
+            source: this.source,
+            project_key: stateData.project_key,
+            last_issue_key: stateData.last_issue_key,
+            last_start_at: stateData.last_start_at,
+            total_issues_scraped: stateData.total_issues_scraped,
+            status: stateData.status,
+            error_message: stateData.error_message,
+            started_at: stateData.started_at,
+            completed_at: stateData.completed_at,
+            sync_mode: stateData.sync_mode,
+            last_updated_watermark: stateData.last_updated_watermark,
+            updated_at: new Date().toISOString()
+          },
+          {
+            onConflict: 'source,project_key',
+            ignoreDuplicates: false
+          }
+        )
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error saving scraper state for ${stateData.project_key}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save scraper state for ${stateData.project_key}:`, error);
+      throw error;
+    }
+  }
+
+  async getExportPage(filters, cursor, pageSize, options = {}) {
+    // An inner join is what restricts the issues themselves to the project;
+    // filtering a plain embed only blanks out the embedded row.
+    let query = this.client
+      .from('issues')
+      .select(`
+        *,
+        project:projects${filters.projectKey ? '!inner' : ''}(*)${options.includeComments === false ? '' : `,
+        comments(*)`}${options.includeHistory ? `,
+        issue_history(*)` : ''}${options.includeAttachments ? `,
+        attachments(*)` : ''}
+      `)
+      .eq('source', this.source)
+      .order('created_date', { ascending: true, nullsFirst: false })
+      .order('id', { ascending: true })
+      .limit(pageSize);
+
+    if (options.includeComments !== false) {
+      query = query.order('created_date', { ascending: true, referencedTable: 'comments' });
+    }
+
+    if (options.includeHistory) {
+      query = query
+        .order('created_date', { ascending: true, referencedTable: 'issue_history' })
+        .order('item_index', { ascending: true, referencedTable: 'issue_history' });
+    }
+
+    query = this.applyExportFilters(query, filters);
+
+    if (cursor && cursor.created_date === null) {
+      query = query.is('created_date', null).gt('id', cursor.id);
+    } else if (cursor) {
+      const createdDate = `"${cursor.created_date}"`;
+      query = query.or(
+        `created_date.gt.${createdDate},and(created_date.eq.${createdDate},id.gt.${cursor.id}),created_date.is.null`
+      );
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error(`Error fetching issues for export:`, error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  async getExportCount(filters) {
+    let query = this.client
+      .from('issues')
+      .select(filters.projectKey ? 'id, project:projects!inner(project_key)' : 'id', { count: 'exact', head: true })
+      .eq('source', this.source);
+
+    query = this.applyExportFilters(query, filters);
+
+    const { count, error } = await query;
+
+    if (error) {
+      logger.error(`Error counting issues for export:`, error);
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  applyExportFilters(query, filters) {
+    if (filters.projectKey) query = query.eq('project.project_key', filters.projectKey);
+    if (filters.createdFrom) query = query.gte('created_date', filters.createdFrom);
+    if (filters.createdBefore) query = query.lt('created_date', filters.createdBefore);
+    if (filters.resolvedFrom) query = query.gte('resolved_date', filters.resolvedFrom);
+    if (filters.resolvedBefore) query = query.lt('resolved_date', filters.resolvedBefore);
+    if (filters.issueTypes) query = query.in('issue_type', filters.issueTypes);
+    if (filters.statuses) query = query.in('status', filters.statuses);
+    if (filters.resolutions) query = query.in('resolution', filters.resolutions);
+    if (filters.components) query = query.overlaps('components', toArrayLiteral(filters.components));
+    if (filters.labels) query = query.overlaps('labels', toArrayLiteral(filters.labels));
+    if (filters.minComments) query = query.gte('comment_count', filters.minComments);
+
+    return query;
+  }
+
+  async getIssueCount(projectKey = null) {
+    let query = this.client
+      .from('issues')
+      .select('id', { count: 'exact', head: true })
+      .eq('source', this.source);
+
+    if (projectKey) {
+      const project = await this.getProject(projectKey);
+      if (project) {
+        query = query.eq('project_id', project.id);
+      }
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+      logger.error(`Error counting issues:`, error);
+      throw error;
+    }
+
+    return count || 0;
+  }
+}
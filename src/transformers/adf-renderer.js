@@ -0,0 +1,253 @@
+const PANEL_LABELS = {
+  info: 'Info',
+  note: 'Note',
+  warning: 'Warning',
+  error: 'Error',
+  success: 'Success',
+  tip: 'Tip'
+};
+
+export class AdfRenderer {
+  render(doc) {
+    if (!doc) return '';
+
+    return this.renderBlocks(doc.content || [])
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  renderBlocks(nodes) {
+    return nodes
+      .map(node => this.renderBlock(node))
+      .filter(block => block !== '')
+      .join('\n\n');
+  }
+
+  renderBlock(node) {
+    const content = node.content || [];
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+      case 'paragraph':
+        return this.renderInline(content);
+
+      case 'heading':
+        return `${'#'.repeat(Math.min(Math.max(attrs.level || 1, 1), 6))} ${this.renderInline(content)}`;
+
+      case 'bulletList':
+        return this.renderList(content, () => '-');
+
+      case 'orderedList':
+        return this.renderList(content, index => `${(attrs.order || 1) + index}.`);
+
+      case 'taskList':
+        return this.renderList(content, (index, item) => (item.attrs?.state === 'DONE' ? '- [x]' : '- [ ]'));
+
+      case 'decisionList':
+        return this.renderList(content, () => '- Decision:');
+
+      case 'codeBlock': {
+        const code = content.map(child => child.text || '').join('');
+        const fence = code.includes('```') ? '~~~' : '```';
+        return `${fence}${attrs.language || ''}\n${code}\n${fence}`;
+      }
+
+      case 'blockquote':
+        return this.prefixLines(this.renderBlocks(content), '> ');
+
+      case 'panel': {
+        const label = PANEL_LABELS[attrs.panelType] || 'Note';
+        return this.prefixLines(`**${label}:** ${this.renderBlocks(content)}`, '> ');
+      }
+
+      case 'expand':
+      case 'nestedExpand': {
+        const body = this.renderBlocks(content);
+        return attrs.title ? `**${attrs.title}**\n\n${body}` : body;
+      }
+
+      case 'rule':
+        return '---';
+
+      case 'table':
+        return this.renderTable(content);
+
+      case 'mediaSingle':
+      case 'mediaGroup':
+        return content.map(child => this.renderMedia(child)).filter(Boolean).join('\n');
+
+      case 'media':
+        return this.renderMedia(node);
+
+      case 'blockCard':
+      case 'embedCard':
+        return attrs.url ? `<${attrs.url}>` : '';
+
+      case 'layoutSection':
+      case 'layoutColumn':
+      case 'bodiedExtension':
+        return this.renderBlocks(content);
+
+      case 'extension':
+        return attrs.text || '';
+
+      default:
+        return this.renderUnknown(node, true);
+    }
+  }
+
+  renderList(items, markerFor) {
+    return items
+      .map((item, index) => {
+        const marker = markerFor(index, item);
+        const indent = ' '.repeat(marker.length + 1);
+
+        // taskItem and decisionItem hold inline content directly, listItem
+        // holds blocks (paragraphs and nested lists).
+        const isInline = (item.content || []).every(child => this.isInlineNode(child));
+        const body = isInline
+          ? this.renderInline(item.content || [])
+          : (item.content || []).map(child => this.renderBlock(child)).filter(Boolean).join('\n');
+
+        const [first = '', ...rest] = body.split('\n');
+        return [`${marker} ${first}`, ...rest.map(line => (line ? `${indent}${line}` : line))].join('\n');
+      })
+      .join('\n');
+  }
+
+  renderTable(rows) {
+    const parsed = rows.map(row =>
+      (row.content || []).map(cell => ({
+        isHeader: cell.type === 'tableHeader',
+        text: this.renderBlocks(cell.content || [])
+          .replace(/\n+/g, '<br>')
+          .replace(/\|/g, '\\|')
+      }))
+    );
+
+    if (parsed.length === 0) return '';
+
+    const width = Math.max(...parsed.map(cells => cells.length));
+    const renderRow = cells =>
+      `| ${[...cells.map(cell => cell.text), ...Array(width - cells.length).fill('')].join(' | ')} |`;
+
+    return [
+      renderRow(parsed[0]),
+      `| ${Array(width).fill('---').join(' | ')} |`,
+      ...parsed.slice(1).map(renderRow)
+    ].join('\n');
+  }
+
+  renderMedia(node) {
+    const attrs = node.attrs || {};
+    const label = attrs.alt || attrs.id || 'attachment';
+
+    if (attrs.type === 'external' && attrs.url) {
+      return `![${label}](${attrs.url})`;
+    }
+
+    return `[media: ${label}]`;
+  }
+
+  renderInline(nodes) {
+    return nodes.map(node => this.renderInlineNode(node)).join('');
+  }
+
+  renderInlineNode(node) {
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+      case 'text':
+        return this.applyMarks(node.text || '', node.marks || []);
+
+      case 'hardBreak':
+        return '\n';
+
+      case 'mention':
+        return attrs.text
+          ? (attrs.text.startsWith('@') ? attrs.text : `@${attrs.text}`)
+          : `@${attrs.id || 'user'}`;
+
+      case 'emoji':
+        return attrs.text || attrs.shortName || '';
+
+      case 'inlineCard':
+        return attrs.url ? `<${attrs.url}>` : '';
+
+      case 'date':
+        return attrs.timestamp ? new Date(parseInt(attrs.timestamp)).toISOString().slice(0, 10) : '';
+
+      case 'status':
+        return attrs.text ? `[${attrs.text}]` : '';
+
+      case 'placeholder':
+        return '';
+
+      case 'mediaInline':
+        return this.renderMedia(node);
+
+      default:
+        return this.renderUnknown(node, false);
+    }
+  }
+
+  applyMarks(text, marks) {
+    if (!text) return '';
+
+    const types = new Set(marks.map(mark => mark.type));
+    let result = text;
+
+    if (types.has('code')) {
+      const fence = text.includes('`') ? '``' : '`';
+      result = `${fence}${text}${fence}`;
+    } else {
+      // Emphasis markers must hug the text, so surrounding whitespace is moved
+      // outside of them.
+      const [, leading, core, trailing] = result.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      let wrapped = core;
+
+      if (core) {
+        if (types.has('strike')) wrapped = `~~${wrapped}~~`;
+        if (types.has('em')) wrapped = `*${wrapped}*`;
+        if (types.has('strong')) wrapped = `**${wrapped}**`;
+        if (types.has('underline')) wrapped = `<u>${wrapped}</u>`;
+
+        const subsup = marks.find(mark => mark.type === 'subsup');
+        if (subsup) {
+          const tag = subsup.attrs?.type === 'sup' ? 'sup' : 'sub';
+          wrapped = `<${tag}>${wrapped}</${tag}>`;
+        }
+      }
+
+      result = `${leading}${wrapped}${trailing}`;
+    }
+
+    const link = marks.find(mark => mark.type === 'link');
+    if (link?.attrs?.href) {
+      result = `[${result}](${link.attrs.href})`;
+    }
+
+    return result;
+  }
+
+  renderUnknown(node, isBlock) {
+    if (Array.isArray(node.content)) {
+      return isBlock && !node.content.every(child => this.isInlineNode(child))
+        ? this.renderBlocks(node.content)
+        : this.renderInline(node.content);
+    }
+
+    return node.text || node.attrs?.text || '';
+  }
+
+  isInlineNode(node) {
+    return [
+      'text', 'hardBreak', 'mention', 'emoji', 'inlineCard',
+      'date', 'status', 'placeholder', 'mediaInline'
+    ].includes(node.type);
+  }
+
+  prefixLines(text, prefix) {
+    return text.split('\n').map(line => (line ? `${prefix}${line}` : prefix.trimEnd())).join('\n');
+  }
+}
@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+
+export const DEDUP_MODES = ['drop', 'keep-one', 'annotate'];
+
+const NUM_HASHES = 128;
+const SHINGLE_SIZE = 3;
+const MIN_TEXT_LENGTH = 20;
+
+// Every divisor of NUM_HASHES is a possible bands × rows layout.
+const BAND_LAYOUTS = [1, 2, 4, 8, 16, 32, 64, 128].map(bands => ({ bands, rows: NUM_HASHES / bands }));
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) =>
+  crypto.createHash('sha256').update(`minhash:${i}`).digest().readUInt32BE(0)
+);
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer; turns one base hash into NUM_HASHES independent ones.
+function mix(hash) {
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+export function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+class UnionFind {
+  constructor() {
+    this.parent = [];
+  }
+
+  add() {
+    this.parent.push(this.parent.length);
+    return this.parent.length - 1;
+  }
+
+  find(index) {
+    while (this.parent[index] !== index) {
+      this.parent[index] = this.parent[this.parent[index]];
+      index = this.parent[index];
+    }
+    return index;
+  }
+
+  // The lower index (the earlier issue) stays the root.
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) {
+      this.parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    }
+  }
+}
+
+// Groups issues whose summary + description are identical after
+// normalization (exact) or whose word-shingle Jaccard similarity, estimated
+// with MinHash and found through LSH banding, reaches `threshold` (near).
+// Issues must be added in export order: the first issue of a cluster is its
+// representative and gives the cluster its id.
+export class Deduplicator {
+  constructor(options = {}) {
+    this.mode = options.mode || 'keep-one';
+    this.threshold = options.threshold ?? 0.8;
+
+    if (!DEDUP_MODES.includes(this.mode)) {
+      throw new Error(`Unknown dedup mode: ${this.mode}. Use one of: ${DEDUP_MODES.join(', ')}`);
+    }
+
+    if (!(this.threshold > 0 && this.threshold <= 1)) {
+      throw new Error(`Dedup threshold must be between 0 and 1 (got ${options.threshold})`);
+    }
+
+    // The layout whose LSH S-curve midpoint, (1/b)^(1/r), is closest to the
+    // threshold; candidates are then checked against the threshold itself.
+    this.layout = BAND_LAYOUTS.reduce((best, layout) =>
+      Math.abs((1 / layout.bands) ** (1 / layout.rows) - this.threshold) <
+      Math.abs((1 / best.bands) ** (1 / best.rows) - this.threshold) ? layout : best
+    );
+
+    this.keys = [];
+    this.kinds = [];
+    this.signatures = [];
+    this.exact = new Map();
+    this.buckets = new Map();
+    this.unionFind = new UnionFind();
+    this.clusters = null;
+    this.seenRecords = new Set();
+    this.droppedRecords = 0;
+  }
+
+  add(issue) {
+    const index = this.unionFind.add();
+    const text = normalizeText(`${issue.summary || ''} ${issue.description || ''}`);
+
+    this.keys.push(issue.issue_key);
+    this.kinds.push(null);
+    this.signatures.push(null);
+
+    if (text.length === 0) {
+      return;
+    }
+
+    const digest = crypto.createHash('sha1').update(text).digest('base64');
+    if (this.exact.has(digest)) {
+      this.unionFind.union(this.exact.get(digest), index);
+      this.kinds[index] = 'exact';
+      return;
+    }
+    this.exact.set(digest, index);
+
+    // Very short texts (bare "Flaky test" titles) only match exactly.
+    if (text.length < MIN_TEXT_LENGTH) {
+      return;
+    }
+
+    const signature = this.signature(text);
+    this.signatures[index] = signature;
+
+    const candidates = new Set();
+    const { bands, rows } = this.layout;
+
+    for (let band = 0; band < bands; band++) {
+      const bucketKey = `${band}:${signature.slice(band * rows, (band + 1) * rows).join(',')}`;
+      const bucket = this.buckets.get(bucketKey);
+
+      if (bucket) {
+        bucket.forEach(candidate => candidates.add(candidate));
+        bucket.push(index);
+      } else {
+        this.buckets.set(bucketKey, [index]);
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (this.similarity(signature, this.signatures[candidate]) >= this.threshold) {
+        this.unionFind.union(candidate, index);
+        this.kinds[index] = this.kinds[index] || 'near';
+      }
+    }
+  }
+
+  signature(text) {
+    const words = text.split(' ');
+    const shingles = new Set();
+
+    if (words.length <= SHINGLE_SIZE) {
+      shingles.add(words.join(' '));
+    } else {
+      for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+      }
+    }
+
+    const signature = new Array(NUM_HASHES).fill(0xffffffff);
+
+    for (const shingle of shingles) {
+      const base = fnv1a(shingle);
+      for (let i = 0; i < NUM_HASHES; i++) {
+        const hash = mix(base ^ SEEDS[i]);
+        if (hash < signature[i]) signature[i] = hash;
+      }
+    }
+
+    return signature;
+  }
+
+  similarity(a, b) {
+    let matches = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+      if (a[i] === b[i]) matches++;
+    }
+    return matches / NUM_HASHES;
+  }
+
+  // Called once all issues are added; frees the signatures and buckets.
+  finalize() {
+    const members = new Map();
+
+    this.keys.forEach((key, index) => {
+      const root = this.unionFind.find(index);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(index);
+    });
+
+    this.clusters = new Map();
+    this.clusterOfKey = new Map();
+
+    for (const [root, indexes] of members) {
+      if (indexes.length < 2) continue;
+
+      const cluster = {
+        cluster_id: this.keys[root],
+        size: indexes.length,
+        kind: indexes.some(index => this.kinds[index] === 'near') ? 'near' : 'exact',
+        members: indexes.map(index => this.keys[index])
+      };
+
+      this.clusters.set(cluster.cluster_id, cluster);
+      cluster.members.forEach(key => this.clusterOfKey.set(key, cluster));
+    }
+
+    this.signatures = null;
+    this.buckets = null;
+    this.exact = null;
+
+    return this;
+  }
+
+  clusterFor(issueKey) {
+    return this.clusterOfKey.get(issueKey) || null;
+  }
+
+  keepIssue(issueKey) {
+    const cluster = this.clusterFor(issueKey);
+
+    if (!cluster || this.mode === 'annotate') return true;
+    if (this.mode === 'keep-one') return cluster.cluster_id === issueKey;
+    return false;
+  }
+
+  get droppedIssues() {
+    let dropped = 0;
+    for (const key of this.keys) {
+      if (!this.keepIssue(key)) dropped++;
+    }
+    return dropped;
+  }
+
+  // Record-level exact dedup: identical task records (ignoring metadata) are
+  // written once, whichever issue they came from.
+  keepRecord(record) {
+    if (this.mode === 'annotate') return true;
+
+    const { metadata, ...content } = record;
+    const digest = crypto.createHash('sha1').update(JSON.stringify(content)).digest('base64').slice(0, 16);
+
+    if (this.seenRecords.has(digest)) {
+      this.droppedRecords++;
+      return false;
+    }
+
+    this.seenRecords.add(digest);
+    return true;
+  }
+
+  report() {
+    const clusters = [...this.clusters.values()].sort((a, b) => b.size - a.size);
+
+    return {
+      mode: this.mode,
+      threshold: this.threshold,
+      lsh: this.layout,
+      totalIssues: this.keys.length,
+      clusterCount: clusters.length,
+      exactClusters: clusters.filter(cluster => cluster.kind === 'exact').length,
+      nearClusters: clusters.filter(cluster => cluster.kind === 'near').length,
+      duplicateIssues: clusters.reduce((sum, cluster) => sum + cluster.size - 1, 0),
+      droppedIssues: this.droppedIssues,
+      droppedRecords: this.droppedRecords,
+      clusters
+    };
+  }
+}
@@ -0,0 +1,129 @@
+// Heuristic extraction over issue and comment text. Issue keys, commit SHAs
+// and entities are returned as written in the text, so records built from
+// them have targets a model can learn from the input. Pull requests are the
+// exception: links and "PR #N" mentions alike become `#N`.
+
+const MAX_ITEMS = 20;
+
+// Checked per sentence, in this order; a sentence yields at most one decision.
+const DECISION_MARKERS = [
+  { kind: 'committed', pattern: /\b(?:committed|pushed|merged|landed)\b[^.\n]{0,60}?\b(?:to|into|in)\s+(?:the\s+)?(trunk|master|main|branch-[\w.-]+|[\w.-]*\d+\.\d+[\w.-]*)/i },
+  { kind: 'reverted', pattern: /\breverted\b/i },
+  { kind: 'duplicate', pattern: /\b(?:clos(?:e|ed|ing)|resolv(?:e|ed|ing)|mark(?:ed|ing)?)\b[^.\n]{0,30}\bas\s+(?:a\s+)?dup(?:licate)?\b(?:\s+of\s+([A-Z][A-Z0-9]+-\d+))?/i },
+  { kind: 'wont_fix', pattern: /\b(?:clos(?:e|ed|ing)|resolv(?:e|ed|ing))\b[^.\n]{0,30}\bas\s+won'?t\s+(?:fix|do)\b/i },
+  { kind: 'cannot_reproduce', pattern: /\b(?:can ?not|can't|couldn't|could not|unable to)\s+reproduce\b/i },
+  { kind: 'approve', pattern: /(?:^|\s)\+1\b|\blgtm\b|\blooks good to me\b|\bship it\b/i },
+  { kind: 'reject', pattern: /(?:^|\s)-1\b(?!\s+overall)/i }
+];
+
+const JIRA_KEY = /\b[A-Z][A-Z0-9]+-\d+\b/g;
+const IS_JIRA_KEY = /^[A-Z][A-Z0-9]+-\d+$/;
+const PULL_REQUEST = /https?:\/\/github\.com\/[\w.-]+\/[\w.-]+\/pull\/(\d+)|\b(?:PR|pull request)\s*#(\d+)/gi;
+const COMMIT_URL = /https?:\/\/\S+?(?:\/commit\/|[;?&]h=)([0-9a-f]{7,40})\b/gi;
+const COMMIT_SHA = /\b(?:commit|sha|revision|hash)\s+([0-9a-f]{7,40})\b/gi;
+const EXCEPTION = /\b(?:[a-z_][\w]*\.)*[A-Z]\w*(?:Exception|Error|Throwable)\b/g;
+// Capitalized words with a second capital: SparkContext, DAGScheduler.
+const CAMEL_CASE = /\b[A-Z][A-Za-z0-9]*[a-z][A-Za-z0-9]*\b/g;
+const METHOD_CALL = /\b[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)+\(\)/g;
+const INLINE_CODE = /`([^`\n]{2,60})`/g;
+const CONFIG_KEY = /\b[a-z][a-z0-9_-]*(?:\.[a-zA-Z0-9_-]+){1,8}\b(?=\s*[=:]|\s*`)|\b[a-z][a-z0-9_-]*(?:\.[a-zA-Z0-9_-]+){2,8}\b/g;
+
+// Dotted names that are packages, hosts or files rather than settings.
+const NOT_CONFIG = /^(?:org|com|java|javax|scala|io|net|sun|jdk|www)\.|\.(?:java|scala|py|xml|json|md|txt|jar|html|sh|log|patch|diff|com|org|net|io)$/;
+
+function unique(values, limit = MAX_ITEMS) {
+  return [...new Set(values.filter(Boolean))].slice(0, limit);
+}
+
+// Quoted replies and code blocks are someone else's words or output, not the
+// commenter's decision.
+function ownProse(text) {
+  return (text || '')
+    .replace(/```[\s\S]*?```|~~~[\s\S]*?~~~/g, ' ')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('>'))
+    .join('\n');
+}
+
+function sentences(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+export function extractDecisions(comments) {
+  const decisions = [];
+
+  comments.forEach((comment, index) => {
+    if (comment.is_bot) return;
+
+    for (const sentence of sentences(ownProse(comment.body))) {
+      const marker = DECISION_MARKERS.find(({ pattern }) => pattern.test(sentence));
+      if (!marker) continue;
+
+      const match = sentence.match(marker.pattern);
+      decisions.push({
+        kind: marker.kind,
+        author: comment.author,
+        comment_index: index,
+        ...(marker.kind === 'committed' && { branch: match[1] }),
+        ...(marker.kind === 'duplicate' && match[1] && { duplicate_of: match[1] }),
+        evidence: sentence.length > 200 ? `${sentence.slice(0, 197)}...` : sentence
+      });
+    }
+  });
+
+  return decisions;
+}
+
+export function extractReferences(text, ownKey = null) {
+  const source = text || '';
+
+  return {
+    issues: unique([...source.matchAll(JIRA_KEY)].map(match => match[0]).filter(key => key !== ownKey)),
+    pull_requests: unique([...source.matchAll(PULL_REQUEST)].map(match => `#${match[1] || match[2]}`)),
+    commits: unique([
+      ...[...source.matchAll(COMMIT_URL)].map(match => match[1]),
+      ...[...source.matchAll(COMMIT_SHA)].map(match => match[1])
+    ].filter(sha => /[a-f]/i.test(sha) && /\d/.test(sha)))
+  };
+}
+
+export function extractEntities(text) {
+  const source = text || '';
+  const exceptions = unique([...source.matchAll(EXCEPTION)].map(match => match[0]));
+  const exceptionNames = new Set(exceptions.map(name => name.split('.').pop()));
+  const configKeys = unique([...source.matchAll(CONFIG_KEY)]
+    .map(match => match[0])
+    .filter(key => !NOT_CONFIG.test(key) && /[a-z]/.test(key.split('.').pop())));
+
+  return {
+    exceptions,
+    code_identifiers: unique([
+      ...[...source.matchAll(INLINE_CODE)].map(match => match[1].trim()).filter(code => !/\s/.test(code)),
+      ...[...source.matchAll(METHOD_CALL)].map(match => match[0]),
+      ...[...source.matchAll(CAMEL_CASE)].map(match => match[0]).filter(word => (word.match(/[A-Z]/g) || []).length > 1)
+    ].filter(name => !exceptionNames.has(name) && !IS_JIRA_KEY.test(name) && !configKeys.includes(name))),
+    config_keys: configKeys
+  };
+}
+
+// Short, readable statements for each decision, in thread order.
+export function describeDecision(decision) {
+  switch (decision.kind) {
+    case 'committed':
+      return `${decision.author} committed the change to ${decision.branch}`;
+    case 'reverted':
+      return `${decision.author} reverted the change`;
+    case 'duplicate':
+      return `${decision.author} closed the issue as a duplicate${decision.duplicate_of ? ` of ${decision.duplicate_of}` : ''}`;
+    case 'wont_fix':
+      return `${decision.author} closed the issue as Won't Fix`;
+    case 'cannot_reproduce':
+      return `${decision.author} could not reproduce the problem`;
+    case 'approve':
+      return `${decision.author} approved (+1)`;
+    case 'reject':
+      return `${decision.author} objected (-1)`;
+    default:
+      return `${decision.author}: ${decision.evidence}`;
+  }
+}
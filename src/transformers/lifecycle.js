@@ -0,0 +1,123 @@
+// Jira resolutions differ between instances; the common ones map onto the
+// outcome labels we train on. Issues with any other resolution are left out
+// of outcome records (add mappings with the task's `outcomes` option).
+const RESOLUTION_OUTCOMES = {
+  'fixed': 'Fixed',
+  'done': 'Fixed',
+  'implemented': 'Fixed',
+  'delivered': 'Fixed',
+  "won't fix": "Won't Fix",
+  "won't do": "Won't Fix",
+  'later': "Won't Fix",
+  'abandoned': "Won't Fix",
+  'duplicate': 'Duplicate',
+  'cannot reproduce': 'Cannot Reproduce',
+  'works for me': 'Cannot Reproduce',
+  'invalid': 'Invalid',
+  'not a problem': 'Invalid',
+  'not a bug': 'Invalid',
+  'incomplete': 'Invalid'
+};
+
+export const RESOLUTION_TIME_BUCKETS = [
+  { label: 'hours', maxHours: 24 },
+  { label: 'days', maxHours: 24 * 7 },
+  { label: 'weeks', maxHours: 24 * 30 },
+  { label: 'months', maxHours: Infinity }
+];
+
+const HOUR = 3600000;
+
+export function resolutionOutcome(resolution, overrides = {}) {
+  if (!resolution) return null;
+
+  const key = resolution.trim().toLowerCase();
+  const custom = Object.entries(overrides).find(([name]) => name.toLowerCase() === key);
+
+  return custom ? custom[1] : RESOLUTION_OUTCOMES[key] || null;
+}
+
+export function hoursToResolution(record) {
+  if (!record.created_date || !record.resolved_date) return null;
+
+  const hours = (new Date(record.resolved_date) - new Date(record.created_date)) / HOUR;
+  return isNaN(hours) || hours < 0 ? null : hours;
+}
+
+// `never` only applies to issues known to have stayed unresolved for
+// `neverAfterDays`; younger open issues have no label yet. Age is measured to
+// `now` when given, else to the issue's last update, so the same data gets
+// the same label whenever it is exported.
+export function resolutionTimeBucket(record, { neverAfterDays = 365, now = null } = {}) {
+  if (!record.resolved_date) {
+    const age = (new Date(now ?? record.updated_date) - new Date(record.created_date)) / HOUR;
+    return record.created_date && age >= neverAfterDays * 24 ? 'never' : null;
+  }
+
+  const hours = hoursToResolution(record);
+  if (hours === null) return null;
+
+  return RESOLUTION_TIME_BUCKETS.find(bucket => hours < bucket.maxHours).label;
+}
+
+export function cutoffDate(record, cutoffHours = 0) {
+  const created = new Date(record.created_date);
+  return isNaN(created.getTime()) ? null : new Date(created.getTime() + cutoffHours * HOUR);
+}
+
+// With a cutoff after creation, issues already resolved by then would leak
+// their label through the input.
+export function resolvedBeforeCutoff(record, cutoffHours = 0) {
+  const cutoff = cutoffDate(record, cutoffHours);
+  return Boolean(cutoffHours > 0 && cutoff && record.resolved_date && new Date(record.resolved_date) <= cutoff);
+}
+
+// Rebuilds the fields as they were at `cutoff` by undoing, newest first,
+// every change made after it. Without history the current values are all we
+// have. `restored` lists the fields taken from the changelog, which stores
+// original markup and unredacted text.
+export function fieldsAtCutoff(record, history, cutoff) {
+  const fields = {
+    summary: record.summary,
+    description: record.description,
+    issue_type: record.issue_type,
+    priority: record.priority,
+    components: [...record.components],
+    labels: [...record.labels],
+    restored: new Set()
+  };
+
+  const later = (history || [])
+    .filter(item => item.created_date && new Date(item.created_date) > cutoff)
+    .sort((a, b) => new Date(b.created_date) - new Date(a.created_date) || b.item_index - a.item_index);
+
+  for (const item of later) {
+    switch (item.field) {
+      case 'summary':
+      case 'priority':
+        fields[item.field] = item.from_string || '';
+        fields.restored.add(item.field);
+        break;
+
+      case 'issuetype':
+        fields.issue_type = item.from_string || '';
+        break;
+
+      case 'description':
+        fields.description = item.from_string || '';
+        fields.restored.add('description');
+        break;
+
+      case 'labels':
+        fields.labels = (item.from_string || '').split(/\s+/).filter(Boolean);
+        break;
+
+      case 'Component':
+        if (item.to_string) fields.components = fields.components.filter(name => name !== item.to_string);
+        if (item.from_string && !fields.components.includes(item.from_string)) fields.components.push(item.from_string);
+        break;
+    }
+  }
+
+  return fields;
+}
@@ -0,0 +1,134 @@
+export const OUTPUT_FORMATS = ['raw', 'messages', 'sharegpt', 'alpaca'];
+
+export const DEFAULT_SYSTEM_PROMPT =
+  'You are an assistant that helps software teams understand, triage and resolve issue tracker tickets.';
+
+const SHAREGPT_ROLES = { system: 'system', user: 'human', assistant: 'gpt' };
+
+// Renders task records as conversations. `raw` keeps our own record shape;
+// every other format goes through `toConversation`, so a task only has to
+// produce instruction/input/output (or explicit `turns`) to work everywhere.
+export class OutputFormat {
+  constructor(options = {}) {
+    this.format = options.format || 'raw';
+    this.systemPrompt = options.systemPrompt === undefined ? DEFAULT_SYSTEM_PROMPT : options.systemPrompt;
+
+    if (!OUTPUT_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown output format: ${this.format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+  }
+
+  render(record) {
+    switch (this.format) {
+      case 'messages':
+        return this.toMessages(record);
+
+      case 'sharegpt':
+        return this.toShareGPT(record);
+
+      case 'alpaca':
+        return this.toAlpaca(record);
+
+      default:
+        return record;
+    }
+  }
+
+  // Turns alternate user/assistant, starting with the user.
+  toConversation(record) {
+    if (Array.isArray(record.turns)) {
+      return record.turns;
+    }
+
+    if (Array.isArray(record.qa_pairs) && record.qa_pairs.length > 0) {
+      const [first, ...rest] = record.qa_pairs;
+
+      return [
+        { role: 'user', content: this.joinSections(record.instruction, record.context, first.question) },
+        { role: 'assistant', content: this.renderValue(first.answer) },
+        ...rest.flatMap(pair => [
+          { role: 'user', content: pair.question },
+          { role: 'assistant', content: this.renderValue(pair.answer) }
+        ])
+      ];
+    }
+
+    return [
+      { role: 'user', content: this.joinSections(record.instruction, this.renderInput(record.input)) },
+      { role: 'assistant', content: this.renderValue(record.output) }
+    ];
+  }
+
+  toMessages(record) {
+    return {
+      messages: [
+        ...(this.systemPrompt ? [{ role: 'system', content: this.systemPrompt }] : []),
+        ...this.toConversation(record)
+      ]
+    };
+  }
+
+  toShareGPT(record) {
+    const { messages } = this.toMessages(record);
+
+    return {
+      conversations: messages.map(message => ({ from: SHAREGPT_ROLES[message.role], value: message.content }))
+    };
+  }
+
+  // Multi-turn records keep their earlier exchanges in `history` as
+  // [question, answer] pairs, the layout most Alpaca-style trainers accept.
+  toAlpaca(record) {
+    const turns = this.toConversation(record);
+    const pairs = [];
+
+    for (let i = 0; i < turns.length; i += 2) {
+      pairs.push([turns[i].content, turns[i + 1]?.content ?? '']);
+    }
+
+    const [lastQuestion, lastAnswer] = pairs.pop();
+    const singleTurn = pairs.length === 0 && !record.turns && !record.qa_pairs;
+
+    return {
+      instruction: singleTurn ? record.instruction || '' : lastQuestion,
+      input: singleTurn ? this.renderInput(record.input) : '',
+      output: lastAnswer,
+      ...(this.systemPrompt && { system: this.systemPrompt }),
+      ...(pairs.length > 0 && { history: pairs })
+    };
+  }
+
+  // Structured inputs read as labelled sections; structured outputs stay JSON
+  // so the model learns to produce them verbatim.
+  renderInput(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return this.renderValue(value);
+    }
+
+    return Object.entries(value)
+      .map(([key, item]) => {
+        const label = key.replace(/_/g, ' ').replace(/^\w/, char => char.toUpperCase());
+        const text = this.renderValue(item);
+        return text.includes('\n') ? `${label}:\n${text}` : `${label}: ${text}`;
+      })
+      .join('\n\n');
+  }
+
+  renderValue(value) {
+    if (value == null) return '';
+    if (typeof value === 'string') return value;
+
+    if (Array.isArray(value)) {
+      return value.map(item => `- ${this.renderValue(item)}`).join('\n');
+    }
+
+    return JSON.stringify(value, null, 2);
+  }
+
+  joinSections(...sections) {
+    return sections
+      .map(section => (section == null ? '' : String(section).trim()))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+}
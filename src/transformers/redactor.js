@@ -0,0 +1,337 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Detectors run in this order; earlier ones see the text first, so the
+// specific credential patterns win over the generic ones.
+const DETECTORS = {
+  private_key: {
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+    replace: () => '[PRIVATE_KEY]'
+  },
+  url_credentials: {
+    pattern: /\b([a-z][a-z0-9+.-]*:\/\/)[^\s:@/]+:[^\s@/]+@/gi,
+    replace: (match, scheme) => `${scheme}[CREDENTIALS]@`
+  },
+  aws_key: {
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b|(aws_secret_access_key\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/g,
+    replace: (match, prefix) => `${prefix || ''}[AWS_KEY]`
+  },
+  api_key: {
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|sk-[A-Za-z0-9]{32,})\b|\b((?:api[_-]?key|(?:access|auth)?[_-]?token|secret|password|passwd|pwd)\s*[=:]\s*["']?)(?!\[)[^\s"',;]{6,}/gi,
+    replace: (match, prefix) => `${prefix || ''}[SECRET]`
+  },
+  email: {
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    replace: () => '[EMAIL]'
+  },
+  ip: {
+    pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d]|\.\d)/g,
+    replace: match => (/^(127\.|0\.0\.0\.0$)/.test(match) ? match : '[IP]')
+  },
+  hostname: {
+    pattern: /\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:internal|local|corp|lan|intranet|private)\b/gi,
+    replace: () => '[HOST]'
+  },
+  mention: {
+    pattern: /\[~(?:accountid:)?([^\]]+)\]|(^|[\s(>])@([A-Za-z0-9][\w.-]*\w)/g,
+    replace: null,
+    outsideCode: true
+  }
+};
+
+export const REDACTION_DETECTORS = Object.keys(DETECTORS);
+export const DEFAULT_REDACTION_DETECTORS = REDACTION_DETECTORS.filter(name => name !== 'hostname');
+
+const CODE_SPANS = /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`)/;
+
+// Name parts that are also common capitalized words; left alone on their own.
+const COMMON_WORDS = new Set(['will', 'may', 'mark', 'bill', 'grant', 'hope', 'long', 'young', 'white', 'black', 'brown', 'green', 'king', 'rich', 'read', 'null', 'test', 'user', 'admin']);
+
+const NAME_PART = /^\p{Lu}[\p{L}'-]{2,}$/u;
+
+const WIKI_MENTION = /\[~(?:accountid:)?([^\]]+)\]/g;
+const ADF_MENTION = /"type":"mention","attrs":(\{[^{}]*\})/g;
+
+// People mentioned in raw wiki markup or ADF. Converted text only keeps
+// `@username` or `@Display Name`, which cannot be told apart from code.
+function mentionedPeople(raw) {
+  if (!raw) return [];
+
+  const people = [...raw.matchAll(WIKI_MENTION)].map(match => ({ name: null, account: match[1] }));
+
+  for (const match of raw.matchAll(ADF_MENTION)) {
+    try {
+      const attrs = JSON.parse(match[1]);
+      people.push({ name: attrs.text ? attrs.text.replace(/^@/, '') : null, account: attrs.id || null });
+    } catch {
+      // Not a complete attrs object; the mention stays unknown.
+    }
+  }
+
+  return people;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Maps people to USER_0001, USER_0002, ... in order of first sight. A person
+// is known by account (`account:<id>`, the Cloud accountId or Server
+// username) with their display name as an alias, so mentions by username and
+// authors by display name share one pseudonym. Rows scraped without accounts
+// fall back to the display name. With a map file the numbering survives
+// between exports, so a person keeps one pseudonym across the whole corpus.
+// The file holds real names; keep it out of published datasets.
+export class Pseudonymizer {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.prefix = options.prefix || 'USER';
+    this.names = new Map();
+    this.issued = 0;
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded || !this.file) {
+      this.loaded = true;
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      for (const [alias, pseudonym] of Object.entries(stored)) {
+        this.names.set(alias, pseudonym);
+        this.issued = Math.max(this.issued, parseInt(pseudonym.split('_').pop()) || 0);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.loaded = true;
+  }
+
+  async save() {
+    if (!this.file) return;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify(Object.fromEntries(this.names), null, 2), 'utf-8');
+  }
+
+  get size() {
+    return this.issued;
+  }
+
+  accountKey(account) {
+    return account ? `account:${account.trim().toLowerCase()}` : null;
+  }
+
+  known(account) {
+    return this.names.has(this.accountKey(account));
+  }
+
+  pseudonym(name, account = null) {
+    const nameKey = name && name !== 'Unknown' ? name.trim().toLowerCase() : null;
+    const accountKey = this.accountKey(account);
+
+    if (!nameKey && !accountKey) return name;
+
+    let pseudonym = this.names.get(accountKey) || this.names.get(nameKey);
+    if (!pseudonym) {
+      pseudonym = `${this.prefix}_${String(++this.issued).padStart(4, '0')}`;
+    }
+
+    // The first person seen with a display name keeps it as their alias.
+    for (const key of [accountKey, nameKey]) {
+      if (key && !this.names.has(key)) this.names.set(key, pseudonym);
+    }
+
+    return pseudonym;
+  }
+}
+
+export class Redactor {
+  constructor(options = {}) {
+    this.detectors = options.detectors || DEFAULT_REDACTION_DETECTORS;
+    this.pseudonymizer = options.pseudonymizer || new Pseudonymizer({ file: options.pseudonymMap });
+
+    for (const name of this.detectors) {
+      if (!DETECTORS[name]) {
+        throw new Error(`Unknown redaction detector: ${name}. Use any of: ${REDACTION_DETECTORS.join(', ')}`);
+      }
+    }
+
+    this.resetCounts();
+  }
+
+  async load() {
+    await this.pseudonymizer.load();
+  }
+
+  // Counts are per export; pseudonyms carry over between exports.
+  resetCounts() {
+    this.counts = Object.fromEntries(this.detectors.map(name => [name, 0]));
+    this.counts.names = 0;
+    this.issuesRedacted = 0;
+    this.issuesSeen = 0;
+    this.knownNames = this.pseudonymizer.size;
+  }
+
+  redactIssue(issue) {
+    const before = this.totalCount();
+    const person = (name, account) => ({ name, pseudonym: this.pseudonymizer.pseudonym(name, account) });
+
+    // Everyone on or mentioned in the issue is registered first, so mentions
+    // of any of them resolve to the same pseudonym as their comments.
+    const people = [
+      person(issue.reporter, issue.reporter_account),
+      person(issue.assignee, issue.assignee_account),
+      ...(issue.comments || []).filter(comment => !comment.is_bot).map(comment => person(comment.author, comment.author_account)),
+      ...(issue.issue_history || []).map(item => person(item.author, item.author_account)),
+      ...(issue.attachments || []).map(attachment => person(attachment.author, attachment.author_account)),
+      ...[issue.description_raw, ...(issue.comments || []).map(comment => comment.body_raw)]
+        .flatMap(mentionedPeople)
+        .map(({ name, account }) => person(name, account))
+    ];
+    const names = this.namePatterns(people);
+
+    const redacted = {
+      ...issue,
+      reporter: this.pseudonymizer.pseudonym(issue.reporter, issue.reporter_account),
+      reporter_account: null,
+      assignee: this.pseudonymizer.pseudonym(issue.assignee, issue.assignee_account),
+      assignee_account: null,
+      summary: this.redactText(issue.summary, names),
+      description: this.redactText(issue.description, names),
+      ...(issue.stack_traces && { stack_traces: this.redactStackTraces(issue.stack_traces, names) }),
+      comments: (issue.comments || []).map(comment => ({
+        ...comment,
+        // Bot accounts are not people; their names stay readable.
+        author: comment.is_bot ? comment.author : this.pseudonymizer.pseudonym(comment.author, comment.author_account),
+        author_account: null,
+        body: this.redactText(comment.body, names),
+        ...(comment.stack_traces && { stack_traces: this.redactStackTraces(comment.stack_traces, names) })
+      })),
+      ...(issue.issue_history && {
+        issue_history: issue.issue_history.map(item => ({
+          ...item,
+          author: this.pseudonymizer.pseudonym(item.author, item.author_account),
+          author_account: null
+        }))
+      }),
+      ...(issue.attachments && {
+        attachments: issue.attachments.map(attachment => ({
+          ...attachment,
+          author: this.pseudonymizer.pseudonym(attachment.author, attachment.author_account),
+          author_account: null
+        }))
+      })
+    };
+
+    this.issuesSeen++;
+    if (this.totalCount() > before) {
+      this.issuesRedacted++;
+    }
+
+    return redacted;
+  }
+
+  // Exception messages carry paths, hosts and credentials like the text they
+  // were parsed from; frames are code locations and stay as they are.
+  redactStackTraces(traces, names) {
+    const redactTrace = trace => ({
+      ...trace,
+      message: trace.message && this.redactText(trace.message, names),
+      ...(trace.caused_by && { caused_by: trace.caused_by.map(redactTrace) })
+    });
+
+    return traces.map(redactTrace);
+  }
+
+  // Participants' names are replaced wherever they appear in the issue's text
+  // ("thanks John Smith", ADF mentions with spaces), longest first, then their
+  // capitalized first and last names on their own ("thanks John").
+  namePatterns(people) {
+    const known = people.filter(({ name }) => name && name.trim().length > 2 && name !== 'Unknown');
+    const patterns = new Map();
+    const add = (text, pseudonym) => {
+      if (!patterns.has(text)) patterns.set(text, pseudonym);
+    };
+
+    [...known].sort((a, b) => b.name.trim().length - a.name.trim().length)
+      .forEach(({ name, pseudonym }) => add(name.trim(), pseudonym));
+
+    for (const { name, pseudonym } of known) {
+      const parts = name.trim().split(/[\s,]+/);
+      if (parts.length < 2) continue;
+
+      parts
+        .filter(part => NAME_PART.test(part) && !COMMON_WORDS.has(part.toLowerCase()))
+        .forEach(part => add(part, pseudonym));
+    }
+
+    return [...patterns].map(([text, pseudonym]) => ({
+      pattern: new RegExp(`(?<![\\w@])@?${escapeRegExp(text)}(?!\\w)`, 'g'),
+      pseudonym
+    }));
+  }
+
+  redactText(text, names = []) {
+    if (!text) return text;
+
+    let result = text;
+
+    for (const { pattern, pseudonym } of names) {
+      result = result.replace(pattern, match => {
+        this.counts.names++;
+        return match.startsWith('@') ? `@${pseudonym}` : pseudonym;
+      });
+    }
+
+    for (const name of REDACTION_DETECTORS) {
+      if (!this.detectors.includes(name)) continue;
+
+      const detector = DETECTORS[name];
+      const apply = segment => segment.replace(detector.pattern, (...args) => {
+        const replacement = name === 'mention' ? this.replaceMention(...args) : detector.replace(...args);
+        if (replacement !== args[0]) this.counts[name]++;
+        return replacement;
+      });
+
+      result = detector.outsideCode
+        ? result.split(CODE_SPANS).map((segment, index) => (index % 2 === 0 ? apply(segment) : segment)).join('')
+        : apply(result);
+    }
+
+    return result;
+  }
+
+  // Wiki mentions always name an account. A bare @token only does when it
+  // matches a known account; otherwise it is likely code (@Override, @Test).
+  replaceMention(match, wikiUser, lead, user) {
+    if (wikiUser) {
+      return `[~${this.pseudonymizer.pseudonym(null, wikiUser)}]`;
+    }
+
+    if (!this.pseudonymizer.known(user)) {
+      return match;
+    }
+
+    return `${lead}@${this.pseudonymizer.pseudonym(null, user)}`;
+  }
+
+  totalCount() {
+    return Object.values(this.counts).reduce((sum, count) => sum + count, 0);
+  }
+
+  report() {
+    return {
+      detectors: this.detectors,
+      redactions: { ...this.counts },
+      issuesSeen: this.issuesSeen,
+      issuesRedacted: this.issuesRedacted,
+      pseudonyms: this.pseudonymizer.size,
+      newPseudonyms: this.pseudonymizer.size - (this.knownNames || 0),
+      pseudonymMap: this.pseudonymizer.file
+    };
+  }
+}
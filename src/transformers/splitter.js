@@ -0,0 +1,180 @@
+import { stableFraction } from '../utils/hash.js';
+
+export const SPLIT_MODES = ['hash', 'time'];
+
+const STRATIFY_FIELDS = {
+  project: issue => issue.project?.project_key || 'Unknown',
+  issue_type: issue => issue.issue_type || 'Unknown',
+  priority: issue => issue.priority || 'Unknown',
+  status: issue => issue.status || 'Unknown'
+};
+
+// Parses `train:0.9,val:0.05,test:0.05`. Ratios must add up to 1.
+export function parseSplitSpec(spec) {
+  const splits = spec.split(',').map(part => {
+    const [name, ratio] = part.split(':').map(item => item.trim());
+    const value = parseFloat(ratio);
+
+    if (!name || isNaN(value) || value <= 0) {
+      throw new Error(`Invalid split "${part}". Expected name:ratio, e.g. train:0.9,val:0.05,test:0.05`);
+    }
+
+    return { name, ratio: value };
+  });
+
+  const names = new Set(splits.map(split => split.name));
+  if (names.size !== splits.length) {
+    throw new Error(`Split names must be unique: ${spec}`);
+  }
+
+  const total = splits.reduce((sum, split) => sum + split.ratio, 0);
+  if (Math.abs(total - 1) > 1e-6) {
+    throw new Error(`Split ratios must add up to 1 (got ${total})`);
+  }
+
+  return splits;
+}
+
+// Assigns whole issues to splits, so every record built from an issue lands
+// in the same file.
+//
+// - hash: by a stable hash of the issue key. An issue keeps its split across
+//   reruns and as the corpus grows.
+// - hash with `stratify` (e.g. project × issue type): every issue is first
+//   registered with `plan`; each stratum's issues are then ordered by their
+//   key hash and cut by the split ratios, so even a small stratum reaches
+//   every split it can. Assignments depend only on the set of issues, not on
+//   the order they are read in, though new issues in a stratum can shift its
+//   boundaries.
+// - time: issues in created_date order; the oldest go to the first split and
+//   the newest to the last. Needs the issue count up front (`begin`).
+export class DatasetSplitter {
+  constructor(options = {}) {
+    this.splits = typeof options.splits === 'string' ? parseSplitSpec(options.splits) : options.splits;
+    this.mode = options.mode || 'hash';
+    this.stratify = options.stratify || [];
+
+    if (!SPLIT_MODES.includes(this.mode)) {
+      throw new Error(`Unknown split mode: ${this.mode}. Use one of: ${SPLIT_MODES.join(', ')}`);
+    }
+
+    for (const field of this.stratify) {
+      if (!STRATIFY_FIELDS[field]) {
+        throw new Error(`Cannot stratify by ${field}. Use any of: ${Object.keys(STRATIFY_FIELDS).join(', ')}`);
+      }
+    }
+
+    if (this.mode === 'time' && this.stratify.length > 0) {
+      throw new Error('Stratification is not supported with the time split mode');
+    }
+
+    this.names = this.splits.map(split => split.name);
+    this.begin(0);
+  }
+
+  get requiresCount() {
+    return this.mode === 'time';
+  }
+
+  get requiresPlan() {
+    return this.stratify.length > 0;
+  }
+
+  begin(totalIssues) {
+    this.totalIssues = totalIssues;
+    this.seen = 0;
+    this.strata = {};
+    this.groups = new Map();
+    this.units = new Map();
+    this.planned = null;
+  }
+
+  // Registers an issue for stratified assignment. A group is placed with the
+  // stratum of its first member.
+  plan(issue, groupKey = null) {
+    const unit = groupKey || issue.issue_key;
+    if (!this.units.has(unit)) {
+      this.units.set(unit, this.stratumOf(issue));
+    }
+  }
+
+  // `groupKey` ties issues together (e.g. a duplicate cluster): the first
+  // issue of a group decides the split for all of its members.
+  assign(issue, groupKey = null) {
+    let split;
+
+    if (groupKey && this.groups.has(groupKey)) {
+      this.seen++;
+      split = this.groups.get(groupKey);
+    } else {
+      split = this.assignUnit(groupKey || issue.issue_key);
+      if (groupKey) {
+        this.groups.set(groupKey, split);
+      }
+    }
+
+    if (this.requiresPlan) {
+      const stratum = this.stratumOf(issue);
+      this.strata[stratum] = this.strata[stratum] || Object.fromEntries(this.names.map(name => [name, 0]));
+      this.strata[stratum][split]++;
+    }
+
+    return split;
+  }
+
+  assignUnit(unit) {
+    if (this.requiresPlan) {
+      this.planned = this.planned || this.allocate();
+      if (this.planned.has(unit)) {
+        return this.planned.get(unit);
+      }
+    }
+
+    return this.assignKey(unit);
+  }
+
+  // Records that stand for no single issue (release notes) are placed by a
+  // key of their own.
+  assignKey(key) {
+    if (this.mode === 'time') {
+      return this.assignByPosition(this.seen++ / Math.max(this.totalIssues, 1));
+    }
+
+    return this.assignByPosition(stableFraction(`split:${key}`));
+  }
+
+  // Each unit sits at the middle of its slot in its stratum's hash order, so
+  // a stratum of n issues puts about ratio × n of them in every split.
+  allocate() {
+    const byStratum = new Map();
+    for (const [unit, stratum] of this.units) {
+      if (!byStratum.has(stratum)) byStratum.set(stratum, []);
+      byStratum.get(stratum).push({ unit, position: stableFraction(`split:${unit}`) });
+    }
+
+    const planned = new Map();
+    for (const units of byStratum.values()) {
+      units.sort((a, b) => a.position - b.position || (a.unit < b.unit ? -1 : 1));
+      units.forEach(({ unit }, index) => planned.set(unit, this.assignByPosition((index + 0.5) / units.length)));
+    }
+
+    return planned;
+  }
+
+  stratumOf(issue) {
+    return this.stratify.map(field => STRATIFY_FIELDS[field](issue)).join(' / ');
+  }
+
+  assignByPosition(position) {
+    let cumulative = 0;
+
+    for (const split of this.splits) {
+      cumulative += split.ratio;
+      if (position < cumulative) {
+        return split.name;
+      }
+    }
+
+    return this.names[this.names.length - 1];
+  }
+}
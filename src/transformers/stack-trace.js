@@ -0,0 +1,274 @@
+// Pulls Java/Scala (JVM) and Python stack traces out of issue text.
+//
+// A trace is { language, exception, message, frames, omitted_frames,
+// caused_by }, with frames as { class, method, file, line } listed innermost
+// (where the exception was thrown) first for both languages; Python prints
+// them the other way round. `caused_by` holds the chain of causes, each
+// without a further `caused_by`.
+
+const MAX_TRACES = 10;
+const MAX_FRAMES = 50;
+
+const JVM_FRAME = /^\s*at\s+((?:[\w$]+\.)*[\w$<>]+)\.([\w$<>]+)\(([^)]*)\)/;
+const JVM_MORE = /^\s*\.\.\.\s+(\d+)\s+(?:more|common frames omitted)/;
+const JVM_HEADER = /^\s*(?:Exception in thread "[^"]*"\s+)?(?:Caused by:\s+)?((?:[a-zA-Z_$][\w$]*\.)+[A-Z][\w$]*)(?::\s?(.*))?$/;
+const JVM_HEADER_IN_LOG = /(?:^|\s)((?:[a-z_$][\w$]*\.)+[A-Z][\w$]*(?:Exception|Error|Throwable|Failure))(?::\s?(.*))?$/;
+const CAUSED_BY = /^\s*Caused by:\s+/;
+
+const PYTHON_START = /^\s*Traceback \(most recent call last\):/;
+const PYTHON_FRAME = /^\s*File "([^"]+)", line (\d+)(?:, in (\S+))?/;
+const PYTHON_EXCEPTION = /^\s*((?:[A-Za-z_][\w]*\.)*[A-Z][\w]*(?:Error|Exception|Exit|Interrupt|Warning)?)(?::\s?(.*))?$/;
+const PYTHON_CHAIN = /^\s*(?:During handling of the above exception|The above exception was the direct cause)/;
+
+function parseJvmLocation(location) {
+  const [file, line] = location.split(':');
+  return {
+    file: /\.\w+$/.test(file) ? file : null,
+    line: line && /^\d+$/.test(line) ? parseInt(line) : null
+  };
+}
+
+function jvmHeader(line) {
+  const match = line.match(JVM_HEADER) || line.match(JVM_HEADER_IN_LOG);
+  return match ? { exception: match[1], message: (match[2] || '').trim() || null } : null;
+}
+
+// Reads the frames following a JVM header; returns the index after them.
+function readJvmFrames(lines, start, trace) {
+  let index = start;
+
+  while (index < lines.length) {
+    const frame = lines[index].match(JVM_FRAME);
+    const more = lines[index].match(JVM_MORE);
+
+    if (frame) {
+      if (trace.frames.length < MAX_FRAMES) {
+        trace.frames.push({ class: frame[1], method: frame[2], ...parseJvmLocation(frame[3]) });
+      } else {
+        trace.omitted_frames++;
+      }
+    } else if (more) {
+      trace.omitted_frames += parseInt(more[1]);
+    } else if (lines[index].trim() !== '') {
+      break;
+    }
+
+    index++;
+  }
+
+  return index;
+}
+
+function collapsed(count) {
+  return `${count} frame${count === 1 ? '' : 's'} collapsed`;
+}
+
+function nextLine(lines, index) {
+  let next = index + 1;
+  while (next < lines.length && lines[next].trim() === '') next++;
+  return lines[next] || '';
+}
+
+function parseJvm(lines, index) {
+  const header = jvmHeader(lines[index]);
+  if (!header || !JVM_FRAME.test(nextLine(lines, index))) {
+    return null;
+  }
+
+  const trace = { language: 'jvm', ...header, frames: [], omitted_frames: 0, caused_by: [] };
+  let end = readJvmFrames(lines, index + 1, trace);
+
+  while (end < lines.length && CAUSED_BY.test(lines[end])) {
+    const cause = { ...jvmHeader(lines[end]), frames: [], omitted_frames: 0 };
+    end = readJvmFrames(lines, end + 1, cause);
+    trace.caused_by.push(cause);
+  }
+
+  return { trace, end };
+}
+
+function parsePythonBlock(lines, index) {
+  const trace = { language: 'python', exception: null, message: null, frames: [], omitted_frames: 0 };
+  let end = index + 1;
+
+  while (end < lines.length) {
+    const frame = lines[end].match(PYTHON_FRAME);
+
+    if (frame) {
+      trace.frames.push({ class: null, method: frame[3] || null, file: frame[1], line: parseInt(frame[2]) });
+      end++;
+      // The source line printed under the frame, if any.
+      if (end < lines.length && !PYTHON_FRAME.test(lines[end]) && /^\s{4,}\S/.test(lines[end])) end++;
+      continue;
+    }
+
+    if (lines[end].trim() === '' || /^\s+[~^\s]+$/.test(lines[end])) {
+      end++;
+      continue;
+    }
+
+    const exception = lines[end].match(PYTHON_EXCEPTION);
+    if (exception) {
+      trace.exception = exception[1];
+      trace.message = (exception[2] || '').trim() || null;
+      end++;
+    }
+    break;
+  }
+
+  if (!trace.exception || trace.frames.length === 0) {
+    return null;
+  }
+
+  trace.frames.reverse();
+  if (trace.frames.length > MAX_FRAMES) {
+    trace.omitted_frames = trace.frames.length - MAX_FRAMES;
+    trace.frames = trace.frames.slice(0, MAX_FRAMES);
+  }
+
+  return { trace, end };
+}
+
+// Chained Python tracebacks print the cause first; the last one raised is
+// the trace and the earlier ones its causes, nearest first.
+function parsePython(lines, index) {
+  const blocks = [];
+  let end = index;
+
+  while (end < lines.length && PYTHON_START.test(lines[end])) {
+    const block = parsePythonBlock(lines, end);
+    if (!block) break;
+
+    blocks.push(block.trace);
+    end = block.end;
+
+    let next = end;
+    while (next < lines.length && lines[next].trim() === '') next++;
+    if (!PYTHON_CHAIN.test(lines[next] || '')) break;
+
+    next++;
+    while (next < lines.length && lines[next].trim() === '') next++;
+    end = next;
+  }
+
+  if (blocks.length === 0) {
+    return null;
+  }
+
+  const [trace, ...causes] = blocks.reverse();
+  return {
+    trace: { ...trace, caused_by: causes.map(({ language, caused_by, ...cause }) => cause) },
+    end
+  };
+}
+
+// Traces are read from raw wiki markup, not the converted text, where
+// `__init__` would have become emphasis. Dropping the `{code}`/`{noformat}`
+// tags leaves their contents exactly as pasted.
+export function wikiTraceText(markup) {
+  return (markup || '').replace(/\{(?:code|noformat)(?::[^}]*)?\}/g, '\n');
+}
+
+export function parseStackTraces(text) {
+  const lines = (text || '').split('\n');
+  const traces = [];
+  let index = 0;
+
+  while (index < lines.length && traces.length < MAX_TRACES) {
+    const parsed = PYTHON_START.test(lines[index]) ? parsePython(lines, index) : parseJvm(lines, index);
+
+    if (parsed) {
+      traces.push(parsed.trace);
+      index = Math.max(parsed.end, index + 1);
+    } else {
+      index++;
+    }
+  }
+
+  return traces;
+}
+
+// Keeps the innermost `maxFrames` frames of every trace in `text` and
+// replaces the rest with a "... N frames collapsed" line. Everything else is
+// left as it was.
+export function collapseStackTraces(text, maxFrames = 5) {
+  if (!text) return text;
+
+  const lines = text.split('\n');
+  const result = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    if (JVM_FRAME.test(lines[index])) {
+      const run = [];
+      while (index < lines.length && JVM_FRAME.test(lines[index])) {
+        run.push(lines[index++]);
+      }
+
+      result.push(...run.slice(0, maxFrames));
+      if (run.length > maxFrames) {
+        const indent = run[maxFrames].match(/^\s*/)[0];
+        result.push(`${indent}... ${collapsed(run.length - maxFrames)}`);
+      }
+      continue;
+    }
+
+    if (PYTHON_FRAME.test(lines[index])) {
+      const frames = [];
+      while (index < lines.length && PYTHON_FRAME.test(lines[index])) {
+        const frame = [lines[index++]];
+        while (index < lines.length && !PYTHON_FRAME.test(lines[index]) && /^\s{4,}\S|^\s+[~^\s]+$/.test(lines[index])) {
+          frame.push(lines[index++]);
+        }
+        frames.push(frame);
+      }
+
+      // Python's innermost frames are the last ones.
+      if (frames.length > maxFrames) {
+        const indent = frames[0][0].match(/^\s*/)[0];
+        result.push(`${indent}... ${collapsed(frames.length - maxFrames)}`);
+      }
+      result.push(...frames.slice(-maxFrames).flat());
+      continue;
+    }
+
+    result.push(lines[index++]);
+  }
+
+  return result.join('\n');
+}
+
+// Renders a parsed trace back in its language's usual layout, keeping the
+// innermost `maxFrames` frames of each exception.
+export function formatStackTrace(trace, maxFrames = 10) {
+  const exception = item => `${item.exception}${item.message ? `: ${item.message}` : ''}`;
+  const hidden = item => item.omitted_frames + Math.max(item.frames.length - maxFrames, 0);
+
+  if (trace.language === 'python') {
+    const section = item => [
+      'Traceback (most recent call last):',
+      ...(hidden(item) > 0 ? [`  ... ${collapsed(hidden(item))}`] : []),
+      ...item.frames.slice(0, maxFrames).reverse()
+        .map(frame => `  File "${frame.file}", line ${frame.line}${frame.method ? `, in ${frame.method}` : ''}`),
+      exception(item)
+    ].join('\n');
+
+    return [...(trace.caused_by || [])].reverse().map(section)
+      .concat(section(trace))
+      .join('\n\nDuring handling of the above exception, another exception occurred:\n\n');
+  }
+
+  const section = (item, prefix = '') => [
+    `${prefix}${exception(item)}`,
+    ...item.frames.slice(0, maxFrames).map(frame => {
+      const location = frame.file ? `${frame.file}${frame.line ? `:${frame.line}` : ''}` : 'Unknown Source';
+      return `\tat ${frame.class}.${frame.method}(${location})`;
+    }),
+    ...(hidden(item) > 0 ? [`\t... ${hidden(item)} more`] : [])
+  ];
+
+  return [
+    ...section(trace),
+    ...(trace.caused_by || []).flatMap(cause => section(cause, 'Caused by: '))
+  ].join('\n');
+}
@@ -0,0 +1,90 @@
+import { resolutionOutcome, resolutionTimeBucket, resolvedBeforeCutoff } from '../lifecycle.js';
+
+// The record builders themselves live on TextFormatter; these entries only
+// decide when each one applies.
+export const BUILTIN_TASKS = [
+  {
+    name: 'summary',
+    build: (record, { formatter, options }) => formatter.createSummaryItem(record, options)
+  },
+  {
+    name: 'classification',
+    build: (record, { formatter, options }) => formatter.createClassificationItem(record, options)
+  },
+  {
+    name: 'qa',
+    build: (record, { formatter, options }) => formatter.createQAItem(record, options)
+  },
+  {
+    name: 'discussion',
+    isEligible: (record, { issue }) => issue.comments.length > 0,
+    build: (record, { formatter, issue, options }) => formatter.createCommentAnalysisItem(record, issue.comments, options)
+  },
+  {
+    name: 'key_extraction',
+    options: { minDescriptionLength: 100 },
+    isEligible: (record, { options }) => record.description.length > options.minDescriptionLength,
+    build: (record, { formatter, options }) => formatter.createKeyExtractionItem(record, options)
+  },
+  {
+    name: 'timeline',
+    requires: ['history'],
+    isEligible: record => record.status_transitions.length > 0,
+    build: (record, { formatter, options }) => formatter.createTimelineItem(record, options)
+  },
+  {
+    name: 'resolution_outcome',
+    requires: ['history'],
+    options: { cutoffHours: 0, outcomes: {} },
+    isEligible: (record, { options }) =>
+      resolutionOutcome(record.resolution, options.outcomes) !== null && !resolvedBeforeCutoff(record, options.cutoffHours),
+    build: (record, { formatter, issue, options }) => formatter.createResolutionOutcomeItem(record, issue, options)
+  },
+  {
+    name: 'resolution_time',
+    requires: ['history'],
+    options: { cutoffHours: 0, neverAfterDays: 365 },
+    isEligible: (record, { options }) =>
+      resolutionTimeBucket(record, options) !== null && !resolvedBeforeCutoff(record, options.cutoffHours),
+    build: (record, { formatter, issue, options }) => formatter.createResolutionTimeItem(record, issue, options)
+  },
+  {
+    name: 'thread_reply',
+    requires: ['history'],
+    options: { contextComments: 10, minReplyLength: 40, maxReplyTokens: 512, maxRepliesPerIssue: 5 },
+    isEligible: (record, { issue }) => issue.comments.length > 0,
+    build: (record, { formatter, issue, options }) => formatter.createThreadReplyItems(record, issue.comments, options)
+  },
+  {
+    name: 'fix_version',
+    isEligible: record => record.fix_versions.length > 0,
+    build: (record, { formatter, options }) => formatter.createFixVersionItem(record, options)
+  },
+  {
+    name: 'release_notes',
+    options: { minIssues: 3, maxIssues: 100 },
+    build: (record, { formatter }) => {
+      if (record.fix_versions.length > 0 && resolutionOutcome(record.resolution) === 'Fixed') {
+        formatter.collectRelease(record);
+      }
+      return null;
+    },
+    finish: ({ formatter, options }) => formatter.createReleaseNoteItems(options)
+  },
+  {
+    name: 'stack_trace_component',
+    options: { maxTraces: 2, maxFrames: 10 },
+    isEligible: record => record.stack_traces.length > 0 && record.components.length > 0,
+    build: (record, { formatter, options }) => formatter.createStackTraceComponentItem(record, options)
+  },
+  {
+    name: 'patch',
+    requires: ['attachments'],
+    build: async (record, { formatter, issue, options }) => {
+      const patch = await formatter.loadLatestPatch(issue.attachments || []);
+      return patch ? formatter.createPatchItem(record, patch, options) : null;
+    }
+  }
+];
+
+export const DEFAULT_TASKS = ['summary', 'classification', 'qa', 'discussion', 'key_extraction'];
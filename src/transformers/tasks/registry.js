@@ -0,0 +1,106 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../../utils/logger.js';
+import { loadTaskConfig } from '../../config/tasks.js';
+import { BUILTIN_TASKS, DEFAULT_TASKS } from './builtin.js';
+import { createTemplateTask } from './template-task.js';
+
+// A task turns one base record into training records:
+//   name        record `type`, used by --tasks
+//   build       (record, context) => record | record[] | null, may be async
+//   isEligible  optional (record, context) => boolean
+//   weight      fraction of eligible issues that get the record (default 1)
+//   requires    extra issue data to load: 'history', 'attachments'
+//   options     task settings, passed to build/isEligible as context.options
+//   finish      optional ({ formatter, options }) => record[], called once after
+//               the last issue; for tasks whose records span many issues
+export class TaskRegistry {
+  constructor() {
+    this.tasks = new Map();
+  }
+
+  register(task) {
+    if (!task || !task.name || typeof task.build !== 'function') {
+      throw new Error('Tasks require a "name" and a build() function');
+    }
+
+    const weight = task.weight ?? 1;
+    if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+      throw new Error(`Task ${task.name}: weight must be a number between 0 and 1`);
+    }
+
+    if (this.tasks.has(task.name)) {
+      logger.debug(`Replacing task ${task.name}`);
+    }
+
+    this.tasks.set(task.name, {
+      ...task,
+      weight,
+      requires: task.requires || [],
+      options: task.options || {}
+    });
+  }
+
+  configure(name, overrides) {
+    const task = this.get(name);
+    const { instruction, weight, options } = overrides;
+
+    const build = instruction
+      ? async (record, context) => {
+        const built = await task.build(record, context);
+        return Array.isArray(built) ? built.map(item => ({ ...item, instruction })) : built && { ...built, instruction };
+      }
+      : task.build;
+
+    this.register({
+      ...task,
+      build,
+      weight: weight ?? task.weight,
+      options: { ...task.options, ...options }
+    });
+  }
+
+  get(name) {
+    const task = this.tasks.get(name);
+
+    if (!task) {
+      throw new Error(`Unknown task: ${name}. Available tasks: ${this.names().join(', ')}`);
+    }
+
+    return task;
+  }
+
+  names() {
+    return [...this.tasks.keys()];
+  }
+
+  select(names = DEFAULT_TASKS) {
+    return names.map(name => this.get(name));
+  }
+
+  async loadConfig(filePath) {
+    const { entries, baseDir } = loadTaskConfig(filePath);
+
+    for (const entry of entries) {
+      if (entry.module) {
+        const exported = await import(pathToFileURL(path.resolve(baseDir, entry.module)).href);
+        const tasks = [exported.default || exported.task].flat();
+        tasks.forEach(task => this.register(task));
+      } else if (entry.output !== undefined) {
+        this.register(createTemplateTask(entry));
+      } else if (entry.name) {
+        this.configure(entry.name, entry);
+      } else {
+        throw new Error('Task config entries need "module", "output" or the name of an existing task');
+      }
+    }
+
+    return this;
+  }
+}
+
+export async function createTaskRegistry(filePath) {
+  const registry = new TaskRegistry();
+  BUILTIN_TASKS.forEach(task => registry.register(task));
+  return registry.loadConfig(filePath);
+}
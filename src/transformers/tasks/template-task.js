@@ -0,0 +1,166 @@
+import { TokenBudget } from '../token-budget.js';
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)((?:\s*\|\s*[\w]+(?::[^|}]*)?)*)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+// Templates budget with the approximate token count; --tokenizer applies to
+// the built-in tasks and the issue context.
+const templateBudget = new TokenBudget();
+
+const FILTERS = {
+  truncate: (value, length) => String(value).slice(0, parseInt(length)),
+  tokens: (value, maxTokens) => templateBudget.truncate(value == null ? '' : String(value), parseInt(maxTokens)),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  lower: value => String(value).toLowerCase(),
+  upper: value => String(value).toUpperCase(),
+  default: (value, fallback = '') => (value === '' || value == null ? fallback : value)
+};
+
+const CONDITIONS = {
+  exists: (value, expected) => (value != null && value !== '' && !(Array.isArray(value) && value.length === 0)) === expected,
+  equals: (value, expected) => value === expected,
+  in: (value, expected) => expected.includes(value),
+  notIn: (value, expected) => !expected.includes(value),
+  minLength: (value, expected) => (value?.length || 0) >= expected,
+  maxLength: (value, expected) => (value?.length || 0) <= expected,
+  min: (value, expected) => value != null && Number(value) >= expected,
+  max: (value, expected) => value != null && Number(value) <= expected
+};
+
+function lookup(scope, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), scope);
+}
+
+function stringify(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function applyFilters(value, filterChain) {
+  return filterChain
+    .split('|')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .reduce((current, part) => {
+      const [name, ...args] = part.split(':');
+      return FILTERS[name](current, args.join(':'));
+    }, value);
+}
+
+// A template that is a single placeholder keeps the field's own type, so
+// `"labels": "{{labels}}"` in an output object stays an array.
+export function renderTemplate(template, scope) {
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, scope));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, renderTemplate(value, scope)])
+    );
+  }
+
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const single = template.match(SINGLE_PLACEHOLDER);
+  if (single) {
+    return lookup(scope, single[1]) ?? '';
+  }
+
+  return template.replace(PLACEHOLDER, (match, fieldPath, filterChain) =>
+    stringify(applyFilters(lookup(scope, fieldPath), filterChain))
+  );
+}
+
+function collectStrings(template) {
+  if (typeof template === 'string') return [template];
+  if (template && typeof template === 'object') return Object.values(template).flatMap(collectStrings);
+  return [];
+}
+
+function validateTemplate(template, taskName) {
+  for (const text of collectStrings(template)) {
+    for (const [, , filterChain] of text.matchAll(PLACEHOLDER)) {
+      for (const part of filterChain.split('|').map(item => item.trim()).filter(Boolean)) {
+        const name = part.split(':')[0];
+        if (!FILTERS[name]) {
+          throw new Error(`Task ${taskName}: unknown template filter "${name}"`);
+        }
+      }
+    }
+  }
+}
+
+function validateConditions(when, taskName) {
+  for (const [field, condition] of Object.entries(when)) {
+    for (const operator of Object.keys(condition)) {
+      if (!CONDITIONS[operator]) {
+        throw new Error(`Task ${taskName}: unknown condition "${operator}" on ${field}`);
+      }
+    }
+  }
+}
+
+// Builds a task from a declarative config entry. Templates see the fields of
+// the base record plus `issue_context` (the standard issue context block) and
+// the issue's `comments`.
+export function createTemplateTask(config) {
+  if (!config.name || !config.instruction || config.output === undefined) {
+    throw new Error(`Template tasks require "name", "instruction" and "output"${config.name ? ` (task ${config.name})` : ''}`);
+  }
+
+  const when = config.when || {};
+  validateConditions(when, config.name);
+  [config.instruction, config.input, config.output].forEach(template => validateTemplate(template, config.name));
+
+  // isEligible and build see the same record; the issue context is built
+  // once for both.
+  const scopes = new WeakMap();
+  const scopeFor = (record, { formatter, issue, options }) => {
+    if (!scopes.has(record)) {
+      scopes.set(record, {
+        ...record,
+        issue_context: formatter.buildIssueContext(record, formatter.budgetFor(options)),
+        comments: issue.comments
+      });
+    }
+
+    return scopes.get(record);
+  };
+
+  return {
+    name: config.name,
+    weight: config.weight,
+    requires: config.requires || [],
+    options: config.options || {},
+
+    isEligible(record, context) {
+      const scope = scopeFor(record, context);
+
+      return Object.entries(when).every(([field, condition]) =>
+        Object.entries(condition).every(([operator, expected]) =>
+          CONDITIONS[operator](lookup(scope, field), expected)
+        )
+      );
+    },
+
+    build(record, context) {
+      const scope = scopeFor(record, context);
+
+      return {
+        type: config.name,
+        metadata: {
+          issue_key: record.issue_key,
+          project: record.project_key
+        },
+        instruction: renderTemplate(config.instruction, scope),
+        ...(config.input !== undefined && { input: renderTemplate(config.input, scope) }),
+        output: renderTemplate(config.output, scope)
+      };
+    }
+  };
+}
@@ -1,65 +1,502 @@
 import { logger } from '../utils/logger.js';
-import { DatabaseService } from '../services/database.js';
+import { createDatabase } from '../services/storage/index.js';
+import { AttachmentStore } from '../services/attachment-store.js';
+import { BotClassifier, BOT_COMMENT_MODES, describeEvent } from '../services/bot-classifier.js';
+import { WikiMarkupConverter } from './wiki-markup.js';
+import { OutputFormat } from './output-format.js';
+import { DatasetSplitter } from './splitter.js';
+import { Deduplicator } from './deduplicator.js';
+import { Redactor } from './redactor.js';
+import { TokenBudget, loadTokenizer } from './token-budget.js';
+import { extractDecisions, extractEntities, extractReferences, describeDecision } from './extractor.js';
+import { parseStackTraces, collapseStackTraces, formatStackTrace, wikiTraceText } from './stack-trace.js';
+import { cutoffDate, fieldsAtCutoff, hoursToResolution, resolutionOutcome, resolutionTimeBucket } from './lifecycle.js';
+import { createTaskRegistry } from './tasks/registry.js';
+import { DEFAULT_TASKS } from './tasks/builtin.js';
+import { stableFraction } from '../utils/hash.js';
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
 import path from 'path';
 
+const STATS_FLUSH_INTERVAL = 1000;
+
+// Section order of Jira's generated release notes; other types follow
+// alphabetically.
+const RELEASE_NOTE_SECTIONS = ['New Feature', 'Improvement', 'Bug', 'Task', 'Sub-task', 'Test'];
+
+const THREAD_REPLY_INSTRUCTION = 'You are a maintainer of this project. Given the issue thread so far, write the next maintainer reply.';
+
+// Replies that are only a vote, thanks or a commit note.
+const LOW_QUALITY_REPLY = /^(?:[-+][01]\b|lgtm\b|thanks?\b|thank you\b|committed\b|pushed\b|merged\b)[^\n]{0,60}$/i;
+
+// Default input budgets (tokens), overridden by --max-input-tokens or a task's
+// `maxInputTokens` option.
+const CONTEXT_TOKENS = 1536;
+const CLASSIFICATION_TOKENS = 256;
+const KEY_EXTRACTION_TOKENS = 512;
+const DISCUSSION_TOKENS = 2048;
+
 export class TextFormatter {
-  constructor() {
-    this.db = new DatabaseService();
+  constructor(options = {}) {
+    this.db = options.db || createDatabase({ ...options.storage, source: options.source });
+    this.includeHistory = options.includeHistory || false;
+    this.includePatches = options.includePatches || false;
+    this.filters = options.filters || {};
+    this.taskNames = options.tasks || null;
+    this.tasksFile = options.tasksFile;
+    this.tasks = null;
+    this.outputFormat = new OutputFormat({ format: options.format, systemPrompt: options.systemPrompt });
+    this.splitter = options.split
+      ? new DatasetSplitter({ splits: options.split, mode: options.splitMode, stratify: options.stratify })
+      : null;
+    this.dedup = options.dedup ? { mode: options.dedup, threshold: options.dedupThreshold } : null;
+    this.redactor = options.redact === false
+      ? null
+      : new Redactor({ detectors: options.redactDetectors, pseudonymMap: options.pseudonymMap });
+    this.botComments = options.botComments || 'keep';
+    this.botClassifier = new BotClassifier({ authors: options.botAuthors });
+    this.maxInputTokens = options.maxInputTokens || null;
+    this.tokenizer = options.tokenizer || null;
+    this.budget = new TokenBudget();
+    this.chunkThreads = options.chunkThreads || false;
+    this.threadOverlap = options.threadOverlap ?? 2;
+    this.collapseTraces = options.collapseTraces || null;
+    this.attachmentStore = new AttachmentStore({ baseDir: options.attachmentDir });
+    this.markupConverter = new WikiMarkupConverter();
+    this.releases = new Map();
+
+    if (!BOT_COMMENT_MODES.includes(this.botComments)) {
+      throw new Error(`Unknown bot comment mode: ${this.botComments}. Use one of: ${BOT_COMMENT_MODES.join(', ')}`);
+    }
   }
 
   async exportToJSONL(outputPath, projectKey = null) {
     logger.info(`Starting JSONL export${projectKey ? ` for project ${projectKey}` : ' for all projects'}`);
 
+    const filters = projectKey ? { ...this.filters, projectKey } : this.filters;
+    const statsPath = this.sidecarPath(outputPath, '_stats.json');
+    const stats = {
+      ...this.createCounts(outputPath),
+      format: this.outputFormat.format,
+      status: 'in_progress'
+    };
+
+    const tasks = await this.loadTasks();
+    await this.loadTokenizer();
+    if (this.redactor) {
+      await this.redactor.load();
+      this.redactor.resetCounts();
+    }
+    this.botCounts = { mode: this.botComments, comments: 0, byKind: {} };
+    this.releases = new Map();
+
+    const requires = new Set(tasks.flatMap(task => task.requires));
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+    // With splits every split gets its own file next to `outputPath`
+    // (`name.train.jsonl`, ...) and its own counts.
+    const outputs = this.splitter
+      ? this.splitter.names.map(name => this.openOutput(this.splitPath(outputPath, name), name))
+      : [this.openOutput(outputPath, null)];
+    const outputsBySplit = new Map(outputs.map(output => [output.split, output]));
+
     try {
-      const issues = await this.db.getAllIssuesForExport(projectKey);
-      logger.info(`Retrieved ${issues.length} issues for export`);
+      const deduplicator = this.dedup ? await this.findDuplicates(filters) : null;
+
+      if (this.splitter) {
+        stats.splitMode = this.splitter.mode;
+        stats.splits = Object.fromEntries(outputs.map(output => [output.split, output.counts]));
+        this.splitter.begin(this.splitter.requiresCount
+          ? await this.db.countIssuesForExport(filters) - (deduplicator?.droppedIssues || 0)
+          : 0);
+        if (this.splitter.requiresPlan) {
+          await this.planSplits(filters, deduplicator);
+          stats.strata = this.splitter.strata;
+        }
+      }
 
-      const jsonlRecords = [];
+      const issues = this.db.iterateIssuesForExport(filters, {
+        includeHistory: requires.has('history'),
+        includeAttachments: requires.has('attachments')
+      });
+
+      for await (const storedIssue of issues) {
+        if (deduplicator && !deduplicator.keepIssue(storedIssue.issue_key)) {
+          continue;
+        }
 
-      for (const issue of issues) {
-        const baseRecord = this.createBaseRecord(issue);
+        // Duplicates share a split with their cluster, or they would leak
+        // between train and test.
+        const cluster = deduplicator?.clusterFor(storedIssue.issue_key);
+        const output = this.splitter
+          ? outputsBySplit.get(this.splitter.assign(storedIssue, cluster?.cluster_id))
+          : outputs[0];
 
-        jsonlRecords.push(this.createSummaryItem(baseRecord));
-        jsonlRecords.push(this.createClassificationItem(baseRecord));
-        jsonlRecords.push(this.createQAItem(baseRecord));
+        for (const createdRecord of await this.createRecords(storedIssue, tasks)) {
+          if (deduplicator && !deduplicator.keepRecord(createdRecord)) {
+            continue;
+          }
 
-        if (issue.comments && issue.comments.length > 0) {
-          jsonlRecords.push(this.createCommentAnalysisItem(baseRecord, issue.comments));
+          const record = cluster && deduplicator.mode === 'annotate'
+            ? { ...createdRecord, metadata: { ...createdRecord.metadata, cluster_id: cluster.cluster_id } }
+            : createdRecord;
+
+          await this.writeRecord(output, stats, record);
         }
 
-        if (issue.description && issue.description.length > 100) {
-          jsonlRecords.push(this.createKeyExtractionItem(baseRecord));
+        stats.totalIssues++;
+        if (this.splitter) output.counts.totalIssues++;
+
+        // The stats file is kept current while the export runs, so progress
+        // (and what was written before a failure) is visible on disk.
+        if (stats.totalIssues % STATS_FLUSH_INTERVAL === 0) {
+          logger.info(`Exported ${stats.totalIssues} issues (${stats.totalRecords} records)`);
+          await this.writeStats(statsPath, stats);
+        }
+      }
+
+      // Aggregate tasks (release notes) span many issues, so they go to a
+      // split of their own key rather than one of their issues'.
+      for (const task of tasks.filter(task => task.finish)) {
+        for (const record of await this.finishTask(task)) {
+          if (deduplicator && !deduplicator.keepRecord(record)) {
+            continue;
+          }
+
+          const output = this.splitter
+            ? outputsBySplit.get(this.splitter.assignKey(record.metadata.group_key))
+            : outputs[0];
+
+          await this.writeRecord(output, stats, record);
         }
       }
 
-      const outputDir = path.dirname(outputPath);
-      await fs.mkdir(outputDir, { recursive: true });
+      await Promise.all(outputs.map(output =>
+        new Promise((resolve, reject) => output.stream.end(error => (error ? reject(error) : resolve())))
+      ));
 
-      const jsonlContent = jsonlRecords.map(record => JSON.stringify(record)).join('\n');
-      await fs.writeFile(outputPath, jsonlContent, 'utf-8');
+      if (deduplicator) {
+        const reportPath = this.sidecarPath(outputPath, '_dedup_report.json');
+        const report = deduplicator.report();
+        await this.writeStats(reportPath, report);
 
-      logger.info(`Exported ${jsonlRecords.length} records to ${outputPath}`);
+        stats.dedup = {
+          mode: report.mode,
+          clusters: report.clusterCount,
+          duplicateIssues: report.duplicateIssues,
+          droppedIssues: report.droppedIssues,
+          droppedRecords: report.droppedRecords,
+          reportPath
+        };
+      }
 
-      const stats = {
-        totalIssues: issues.length,
-        totalRecords: jsonlRecords.length,
-        outputPath
-      };
+      if (this.redactor) {
+        const reportPath = this.sidecarPath(outputPath, '_redaction_report.json');
+        const report = this.redactor.report();
+        await this.writeStats(reportPath, report);
+        await this.redactor.pseudonymizer.save();
+
+        stats.redaction = {
+          issuesRedacted: report.issuesRedacted,
+          redactions: report.redactions,
+          reportPath
+        };
+      }
 
-      const statsPath = outputPath.replace('.jsonl', '_stats.json');
-      await fs.writeFile(statsPath, JSON.stringify(stats, null, 2), 'utf-8');
+      stats.botComments = this.botCounts;
+      stats.status = 'completed';
+      await this.writeStats(statsPath, stats);
 
+      if (this.splitter) {
+        for (const output of outputs) {
+          await this.writeStats(this.sidecarPath(output.counts.outputPath, '_stats.json'), output.counts);
+          logger.info(`Split ${output.split}: ${output.counts.totalRecords} records from ${output.counts.totalIssues} issues`);
+        }
+      }
+
+      logger.info(`Exported ${stats.totalRecords} records from ${stats.totalIssues} issues to ${outputPath}`);
       return stats;
 
     } catch (error) {
+      outputs.forEach(output => output.stream.destroy());
+      stats.status = 'failed';
+      stats.error = error.message;
+      await this.writeStats(statsPath, stats).catch(() => {});
+
       logger.error(`Error during JSONL export:`, error);
       throw error;
     }
   }
 
+  // A first pass over summaries and descriptions only; clusters have to be
+  // known before the first record is written.
+  async findDuplicates(filters) {
+    const deduplicator = new Deduplicator(this.dedup);
+
+    for await (const issue of this.db.iterateIssuesForExport(filters, { includeComments: false })) {
+      deduplicator.add(this.normalizeMarkup(issue));
+    }
+
+    deduplicator.finalize();
+
+    const report = deduplicator.report();
+    logger.info(
+      `Found ${report.clusterCount} duplicate clusters (${report.exactClusters} exact, ${report.nearClusters} near) ` +
+      `covering ${report.duplicateIssues} duplicate issues`
+    );
+
+    return deduplicator;
+  }
+
+  // Stratified splits are cut per stratum, so every issue that will be
+  // written is registered before the first one is assigned.
+  async planSplits(filters, deduplicator) {
+    for await (const issue of this.db.iterateIssuesForExport(filters, { includeComments: false })) {
+      if (deduplicator && !deduplicator.keepIssue(issue.issue_key)) {
+        continue;
+      }
+
+      this.splitter.plan(issue, deduplicator?.clusterFor(issue.issue_key)?.cluster_id);
+    }
+  }
+
+  openOutput(outputPath, split) {
+    return {
+      split,
+      stream: createWriteStream(outputPath, { encoding: 'utf-8' }),
+      counts: this.createCounts(outputPath)
+    };
+  }
+
+  createCounts(outputPath) {
+    return {
+      totalIssues: 0,
+      totalRecords: 0,
+      recordsByType: {},
+      labelDistribution: {},
+      totalTokens: 0,
+      truncatedRecords: 0,
+      outputPath
+    };
+  }
+
+  countRecord(counts, record) {
+    const tokens = record.metadata?.tokens;
+
+    counts.totalRecords++;
+    counts.recordsByType[record.type] = (counts.recordsByType[record.type] || 0) + 1;
+    counts.totalTokens += tokens ? tokens.input + tokens.output : 0;
+    if (record.metadata?.truncated) counts.truncatedRecords++;
+
+    // Prediction tasks put their target in `metadata.label`.
+    const label = record.metadata?.label;
+    if (label != null) {
+      const distribution = counts.labelDistribution[record.type] = counts.labelDistribution[record.type] || {};
+      distribution[label] = (distribution[label] || 0) + 1;
+    }
+  }
+
+  splitPath(outputPath, split) {
+    return outputPath.replace(/\.jsonl$/, '') + `.${split}.jsonl`;
+  }
+
+  // Stats and reports sit next to the output: `name.jsonl` gets
+  // `name_stats.json`. Only a trailing `.jsonl` is replaced.
+  sidecarPath(outputPath, suffix) {
+    return outputPath.replace(/\.jsonl$/, '') + suffix;
+  }
+
+  // Without --tasks the default set is exported, plus timeline and patch
+  // records when history or patches were asked for.
+  async loadTasks() {
+    if (!this.tasks) {
+      const registry = await createTaskRegistry(this.tasksFile);
+      const names = this.taskNames || [
+        ...DEFAULT_TASKS,
+        ...(this.includeHistory ? ['timeline'] : []),
+        ...(this.includePatches ? ['patch'] : [])
+      ];
+
+      this.tasks = registry.select(names);
+      logger.info(`Export tasks: ${names.join(', ')}`);
+    }
+
+    return this.tasks;
+  }
+
+  async loadTokenizer() {
+    if (this.tokenizer && !this.tokenizerLoaded) {
+      this.budget = new TokenBudget({ countTokens: await loadTokenizer(this.tokenizer) });
+      this.tokenizerLoaded = true;
+      logger.info(`Counting tokens with ${this.tokenizer}`);
+    }
+  }
+
+  budgetFor(options = {}, fallback = CONTEXT_TOKENS) {
+    return options.maxInputTokens ?? this.maxInputTokens ?? fallback;
+  }
+
+  async createRecords(storedIssue, tasks) {
+    const normalized = this.collapseTraceText(this.classifyComments(this.normalizeMarkup(this.extractStackTraces(storedIssue))));
+    const redacted = this.redactor ? this.redactor.redactIssue(normalized) : normalized;
+    const issue = this.applyBotComments(redacted);
+    const baseRecord = this.createBaseRecord(issue);
+    const records = [];
+
+    for (const task of tasks) {
+      const context = { formatter: this, issue, options: task.options };
+
+      if (task.isEligible && !task.isEligible(baseRecord, context)) {
+        continue;
+      }
+
+      // Sampling is keyed on the issue, so reruns pick the same issues.
+      if (task.weight < 1 && stableFraction(`${task.name}:${baseRecord.issue_key}`) >= task.weight) {
+        continue;
+      }
+
+      const truncationsBefore = this.budget.truncations;
+      const built = await task.build(baseRecord, context);
+      const truncated = this.budget.truncations > truncationsBefore;
+
+      for (const record of [built].flat().filter(Boolean)) {
+        records.push(this.withTokenCounts(record, truncated));
+      }
+    }
+
+    return records;
+  }
+
+  // Counted on the conversation every output format is rendered from, so the
+  // numbers do not depend on --format (the system prompt is not included).
+  withTokenCounts(record, truncated) {
+    const turns = this.outputFormat.toConversation(record);
+    const count = role => turns
+      .filter(turn => turn.role === role)
+      .reduce((sum, turn) => sum + this.budget.count(turn.content), 0);
+
+    return {
+      ...record,
+      metadata: {
+        ...record.metadata,
+        tokens: { input: count('user'), output: count('assistant') },
+        ...(truncated && { truncated: true })
+      }
+    };
+  }
+
+  async finishTask(task) {
+    const truncationsBefore = this.budget.truncations;
+    const built = await task.finish({ formatter: this, options: task.options });
+    const truncated = this.budget.truncations > truncationsBefore;
+
+    return [built].flat().filter(Boolean).map(record => this.withTokenCounts(record, truncated));
+  }
+
+  async writeRecord(output, stats, record) {
+    await this.writeLine(output.stream, JSON.stringify(this.outputFormat.render(record)));
+    this.countRecord(stats, record);
+    if (this.splitter) this.countRecord(output.counts, record);
+  }
+
+  async writeLine(output, line) {
+    if (!output.write(`${line}\n`)) {
+      await once(output, 'drain');
+    }
+  }
+
+  async writeStats(statsPath, stats) {
+    await fs.writeFile(statsPath, JSON.stringify(stats, null, 2), 'utf-8');
+  }
+
+  // Rows scraped before markup conversion hold raw wiki markup in
+  // `description`/`body` and have no `_raw` column; convert those here.
+  normalizeMarkup(issue) {
+    return {
+      ...issue,
+      description: issue.description_raw == null
+        ? this.markupConverter.convert(issue.description)
+        : issue.description,
+      comments: (issue.comments || []).map(comment => ({
+        ...comment,
+        body: comment.body_raw == null ? this.markupConverter.convert(comment.body) : comment.body
+      }))
+    };
+  }
+
+  // Comments scraped before bot classification have no flag; classify them
+  // here. Runs before redaction, which would hide the bot account names.
+  classifyComments(issue) {
+    const comments = issue.comments.map(comment => {
+      const isBot = this.botClassifier.isBot(comment);
+      if (!isBot) {
+        return { ...comment, is_bot: false, bot_kind: null };
+      }
+
+      const kind = this.botClassifier.kindOf(comment);
+      if (this.botCounts) {
+        this.botCounts.comments++;
+        this.botCounts.byKind[kind] = (this.botCounts.byKind[kind] || 0) + 1;
+      }
+
+      return { ...comment, is_bot: true, bot_kind: kind };
+    });
+
+    return { ...issue, comments };
+  }
+
+  // Issues scraped before trace parsing have no `stack_traces`; parse them
+  // here, from the raw text before markup conversion.
+  extractStackTraces(issue) {
+    return {
+      ...issue,
+      stack_traces: issue.stack_traces ?? parseStackTraces(this.traceText(issue.description, issue.description_raw)),
+      comments: (issue.comments || []).map(comment => ({
+        ...comment,
+        stack_traces: comment.stack_traces ?? parseStackTraces(this.traceText(comment.body, comment.body_raw))
+      }))
+    };
+  }
+
+  // Without a `_raw` column the text itself is raw wiki markup. Raw ADF is
+  // stored as JSON; its rendered text keeps identifiers as written.
+  traceText(text, raw) {
+    if (raw == null) return wikiTraceText(text);
+    return raw.startsWith('{"') ? text : wikiTraceText(raw);
+  }
+
+  // Runs on the converted text, after traces have been read.
+  collapseTraceText(issue) {
+    if (!this.collapseTraces) {
+      return issue;
+    }
+
+    return {
+      ...issue,
+      description: collapseStackTraces(issue.description, this.collapseTraces),
+      comments: issue.comments.map(comment => ({ ...comment, body: collapseStackTraces(comment.body, this.collapseTraces) }))
+    };
+  }
+
+  applyBotComments(issue) {
+    if (this.botComments === 'keep') {
+      return issue;
+    }
+
+    const bots = issue.comments.filter(comment => comment.is_bot);
+
+    return {
+      ...issue,
+      comments: issue.comments.filter(comment => !comment.is_bot),
+      ...(this.botComments === 'events' && { events: bots.map(comment => this.botClassifier.toEvent(comment)) })
+    };
+  }
+
   createBaseRecord(issue) {
     return {
+      source: issue.source,
       issue_key: issue.issue_key,
       project: issue.project?.project_name || 'Unknown',
       project_key: issue.project?.project_key || 'Unknown',
@@ -73,14 +510,53 @@ export class TextFormatter {
       assignee: issue.assignee,
       labels: issue.labels || [],
       components: issue.components || [],
+      versions: issue.versions || [],
+      fix_versions: issue.fix_versions || [],
       created_date: issue.created_date,
       updated_date: issue.updated_date,
-      resolved_date: issue.resolved_date
+      resolved_date: issue.resolved_date,
+      status_transitions: this.buildStatusTransitions(issue.issue_history || []),
+      // Traces in bot comments are test failures from precommit runs, not
+      // the reported problem.
+      stack_traces: [
+        ...(issue.stack_traces || []),
+        ...(issue.comments || []).filter(comment => !comment.is_bot).flatMap(comment => comment.stack_traces || [])
+      ],
+      ...(issue.events && { events: issue.events })
     };
   }
 
-  createSummaryItem(baseRecord) {
-    const input = this.buildIssueContext(baseRecord);
+  buildStatusTransitions(history) {
+    return history
+      .filter(item => item.field === 'status')
+      .sort((a, b) =>
+        new Date(a.created_date) - new Date(b.created_date) || a.item_index - b.item_index
+      )
+      .map(item => ({
+        from_status: item.from_string,
+        to_status: item.to_string,
+        author: item.author,
+        transitioned_at: item.created_date
+      }));
+  }
+
+  calculateTimeInStatus(record) {
+    const timeInStatus = {};
+    let enteredAt = record.created_date;
+
+    for (const transition of record.status_transitions) {
+      if (enteredAt && transition.from_status) {
+        const hours = (new Date(transition.transitioned_at) - new Date(enteredAt)) / 3600000;
+        timeInStatus[transition.from_status] = Math.round(((timeInStatus[transition.from_status] || 0) + hours) * 100) / 100;
+      }
+      enteredAt = transition.transitioned_at;
+    }
+
+    return timeInStatus;
+  }
+
+  createSummaryItem(baseRecord, options = {}) {
+    const input = this.buildIssueContext(baseRecord, this.budgetFor(options));
 
     return {
       type: 'summary',
@@ -96,8 +572,10 @@ export class TextFormatter {
     };
   }
 
-  createClassificationItem(baseRecord) {
-    const input = `Title: ${baseRecord.summary}\n\nDescription: ${baseRecord.description.substring(0, 500)}`;
+  createClassificationItem(baseRecord, options = {}) {
+    const title = `Title: ${baseRecord.summary}\n\nDescription: `;
+    const maxTokens = this.budgetFor(options, CLASSIFICATION_TOKENS) - this.budget.count(title);
+    const input = `${title}${this.budget.truncate(baseRecord.description, Math.max(maxTokens, 0))}`;
 
     return {
       type: 'classification',
@@ -118,8 +596,8 @@ export class TextFormatter {
     };
   }
 
-  createQAItem(baseRecord) {
-    const context = this.buildIssueContext(baseRecord);
+  createQAItem(baseRecord, options = {}) {
+    const context = this.buildIssueContext(baseRecord, this.budgetFor(options));
 
     const questions = [
       {
@@ -157,50 +635,476 @@ export class TextFormatter {
     };
   }
 
-  createCommentAnalysisItem(baseRecord, comments) {
-    const commentTexts = comments
-      .slice(0, 10)
-      .map((c, idx) => `Comment ${idx + 1} by ${c.author}:\n${c.body}`)
-      .join('\n\n');
+  // Comments are packed into the budget in order; no single comment may take
+  // more than half of it. Threads that do not fit are cut after the last
+  // comment that does or, with thread chunking, split into overlapping
+  // records.
+  createCommentAnalysisItem(baseRecord, comments, options = {}) {
+    const events = baseRecord.events?.length > 0 ? baseRecord.events.map(describeEvent) : null;
+    const budget = this.budgetFor(options, DISCUSSION_TOKENS) -
+      this.budget.count(baseRecord.summary) - this.budget.count(events?.join('\n'));
+    const items = comments.map((c, idx) => ({
+      comment: c,
+      number: idx + 1,
+      text: `Comment ${idx + 1} by ${c.author}${c.is_bot ? ' (automated)' : ''}:\n${this.budget.truncate(c.body, Math.floor(budget / 2))}`
+    }));
+
+    const chunks = this.budget.chunk(
+      items,
+      budget,
+      options.threadOverlap ?? this.threadOverlap,
+      item => this.budget.count(item.text)
+    );
+
+    if ((options.chunkThreads ?? this.chunkThreads) && chunks.length > 1) {
+      return chunks.map((chunk, index) => this.buildDiscussionItem(baseRecord, chunk, {
+        events,
+        total: comments.length,
+        chunk: { chunk_index: index, chunk_count: chunks.length }
+      }));
+    }
+
+    const omitted = comments.length - chunks[0].length;
+    if (omitted > 0) {
+      this.budget.truncations++;
+    }
+
+    return this.buildDiscussionItem(baseRecord, chunks[0], { events, total: comments.length, omitted, allComments: comments });
+  }
+
+  // Decisions and references come from the comments shown in the input, so
+  // every target can be found there.
+  buildDiscussionItem(baseRecord, items, { events, total, omitted = 0, chunk = null, allComments = null }) {
+    const comments = allComments || items.map(item => item.comment);
+    const shown = items.map(item => item.comment);
+    const humanComments = comments.filter(c => !c.is_bot);
+    const decisions = extractDecisions(shown).map(({ comment_index, ...decision }) => ({
+      comment: items[comment_index].number,
+      ...decision
+    }));
+    const commentTexts = items.map(item => item.text).join('\n\n') +
+      (omitted > 0 ? `\n\n[${omitted} more comments not shown]` : '');
 
     return {
       type: 'discussion',
       metadata: {
         issue_key: baseRecord.issue_key,
         project: baseRecord.project_key,
-        comment_count: comments.length
+        comment_count: total,
+        ...chunk
       },
       instruction: 'Summarize discussion comments and extract any action items or decisions.',
       input: {
         issue_summary: baseRecord.summary,
-        comments: commentTexts
+        comments: commentTexts,
+        ...(events && { automated_events: events })
       },
       output: {
-        key_points: this.extractKeyPoints(comments),
-        participant_count: new Set(comments.map(c => c.author)).size,
+        key_points: this.extractKeyPoints(shown, decisions),
+        decisions,
+        references: extractReferences(shown.map(c => c.body).join('\n\n'), baseRecord.issue_key),
+        participant_count: new Set(humanComments.map(c => c.author)).size,
         total_comments: comments.length
       }
     };
   }
 
-  createKeyExtractionItem(baseRecord) {
+  // Returns null when the text mentions nothing extractable; an empty
+  // target teaches nothing.
+  createKeyExtractionItem(baseRecord, options = {}) {
+    const maxTokens = this.budgetFor(options, KEY_EXTRACTION_TOKENS) - this.budget.count(baseRecord.summary);
+    const input = `${baseRecord.summary}\n\n${this.budget.truncate(baseRecord.description, Math.max(maxTokens, 0))}`;
+    const entities = extractEntities(input);
+    const references = extractReferences(input, baseRecord.issue_key);
+
+    if ([...Object.values(entities), ...Object.values(references)].every(values => values.length === 0)) {
+      return null;
+    }
+
     return {
       type: 'key_extraction',
       metadata: {
         issue_key: baseRecord.issue_key,
         project: baseRecord.project_key
       },
-      instruction: 'List the main technical terms, components, and labels found in this issue.',
-      input: `${baseRecord.summary}\n\n${baseRecord.description.substring(0, 1000)}`,
+      instruction: 'List the exceptions, code identifiers and configuration keys in this issue, and the issues, pull requests and commits it references.',
+      input,
+      output: { ...entities, ...references }
+    };
+  }
+
+  createStackTraceComponentItem(baseRecord, options = {}) {
+    const header = `Project: ${baseRecord.project}\n\n`;
+    const traces = baseRecord.stack_traces
+      .slice(0, options.maxTraces)
+      .map(trace => formatStackTrace(trace, options.maxFrames))
+      .join('\n\n');
+    const maxTokens = Math.max(this.budgetFor(options) - this.budget.count(header), 0);
+
+    return {
+      type: 'stack_trace_component',
+      metadata: {
+        issue_key: baseRecord.issue_key,
+        project: baseRecord.project_key,
+        label: baseRecord.components.join(', '),
+        exceptions: [...new Set(baseRecord.stack_traces.map(trace => trace.exception))]
+      },
+      instruction: 'Which component of the project is most likely responsible for this stack trace?',
+      input: `${header}${this.budget.truncate(traces, maxTokens)}`,
+      output: { components: baseRecord.components }
+    };
+  }
+
+  createTimelineItem(baseRecord, options = {}) {
+    const transitions = baseRecord.status_transitions;
+
+    return {
+      type: 'timeline',
+      metadata: {
+        issue_key: baseRecord.issue_key,
+        project: baseRecord.project_key,
+        transition_count: transitions.length,
+        final_status: baseRecord.status
+      },
+      instruction: 'Describe how this issue moved through the workflow and how long it spent in each status.',
+      input: this.buildIssueContext(baseRecord, this.budgetFor(options)),
       output: {
-        labels: baseRecord.labels,
-        components: baseRecord.components,
-        issue_type: baseRecord.issue_type
+        transitions: transitions,
+        time_in_status_hours: this.calculateTimeInStatus(baseRecord)
+      }
+    };
+  }
+
+  createPatchItem(baseRecord, patch, options = {}) {
+    return {
+      type: 'patch',
+      metadata: {
+        issue_key: baseRecord.issue_key,
+        project: baseRecord.project_key,
+        filename: patch.filename,
+        attachment_id: patch.attachment_id,
+        resolution: baseRecord.resolution
+      },
+      instruction: 'Write a patch (unified diff) that resolves this issue.',
+      input: this.buildIssueContext(baseRecord, this.budgetFor(options)),
+      output: patch.content
+    };
+  }
+
+  createResolutionOutcomeItem(baseRecord, issue, options = {}) {
+    const outcome = resolutionOutcome(baseRecord.resolution, options.outcomes);
+
+    return {
+      type: 'resolution_outcome',
+      metadata: {
+        issue_key: baseRecord.issue_key,
+        project: baseRecord.project_key,
+        label: outcome,
+        resolution: baseRecord.resolution,
+        cutoff_hours: options.cutoffHours || 0
+      },
+      instruction: "Predict how this issue will be resolved: Fixed, Won't Fix, Duplicate, Cannot Reproduce or Invalid.",
+      input: this.buildCutoffContext(baseRecord, issue, options),
+      output: outcome
+    };
+  }
+
+  createResolutionTimeItem(baseRecord, issue, options = {}) {
+    const bucket = resolutionTimeBucket(baseRecord, options);
+    const hours = hoursToResolution(baseRecord);
+
+    return {
+      type: 'resolution_time',
+      metadata: {
+        issue_key: baseRecord.issue_key,
+        project: baseRecord.project_key,
+        label: bucket,
+        hours_to_resolution: hours === null ? null : Math.round(hours * 100) / 100,
+        cutoff_hours: options.cutoffHours || 0
+      },
+      instruction: 'Estimate how long this issue will take to resolve: hours, days, weeks, months, or never.',
+      input: this.buildCutoffContext(baseRecord, issue, options),
+      output: bucket
+    };
+  }
+
+  // Only what was known `cutoffHours` after creation: the fields as they were
+  // then (from the changelog) and the comments posted by that time. Status,
+  // resolution and assignee are left out; they give the answer away.
+  buildCutoffContext(baseRecord, issue, options = {}) {
+    const cutoff = cutoffDate(baseRecord, options.cutoffHours || 0);
+    const fields = fieldsAtCutoff(baseRecord, issue.issue_history, cutoff);
+    const redact = text => (this.redactor ? this.redactor.redactText(text) : text);
+
+    const summary = fields.restored.has('summary') ? redact(fields.summary) : fields.summary;
+    const description = fields.restored.has('description')
+      ? redact(this.markupConverter.convert(fields.description))
+      : fields.description;
+    const comments = (issue.comments || [])
+      .filter(comment => comment.created_date && new Date(comment.created_date) <= cutoff);
+
+    let context = `Issue: ${baseRecord.issue_key}\n`;
+    context += `Project: ${baseRecord.project}\n`;
+    context += `Type: ${fields.issue_type}\n`;
+    context += `Priority: ${fields.priority}\n`;
+
+    if (fields.components.length > 0) {
+      context += `Components: ${fields.components.join(', ')}\n`;
+    }
+
+    if (fields.labels.length > 0) {
+      context += `Labels: ${fields.labels.join(', ')}\n`;
+    }
+
+    context += `\nSummary: ${summary}\n`;
+
+    // Description and early comments share what the header leaves over.
+    const available = Math.max(this.budgetFor(options) - this.budget.count(context), 0);
+    const descriptionTokens = comments.length > 0 ? Math.floor(available / 2) : available;
+
+    if (description) {
+      context += `\nDescription:\n${this.budget.truncate(description, descriptionTokens)}\n`;
+    }
+
+    if (comments.length > 0) {
+      const commentTexts = comments.map(comment => `${comment.author}: ${comment.body}`).join('\n\n');
+      const remaining = Math.max(this.budgetFor(options) - this.budget.count(context), 0);
+      context += `\nComments in the first ${options.cutoffHours} hours:\n${this.budget.truncate(commentTexts, remaining)}\n`;
+    }
+
+    return context;
+  }
+
+  createFixVersionItem(baseRecord, options = {}) {
+    let header = `Issue: ${baseRecord.issue_key}\n`;
+    header += `Project: ${baseRecord.project}\n`;
+    header += `Type: ${baseRecord.issue_type}\n`;
+    header += `Priority: ${baseRecord.priority}\n`;
+    header += `Affects versions: ${baseRecord.versions.length > 0 ? baseRecord.versions.join(', ') : 'unknown'}\n`;
+    header += `\nSummary: ${baseRecord.summary}\n\nDescription:\n`;
+
+    const maxTokens = Math.max(this.budgetFor(options) - this.budget.count(header), 0);
+
+    return {
+      type: 'fix_version',
+      metadata: {
+        issue_key: baseRecord.issue_key,
+        project: baseRecord.project_key,
+        label: baseRecord.fix_versions.join(', '),
+        versions: baseRecord.versions
+      },
+      instruction: 'Which release(s) will the fix for this issue land in?',
+      input: `${header}${this.budget.truncate(baseRecord.description, maxTokens)}`,
+      output: { fix_versions: baseRecord.fix_versions }
+    };
+  }
+
+  // Release notes are built from every fixed issue of a release, so issues
+  // are only collected here; the records come from createReleaseNoteItems.
+  collectRelease(baseRecord) {
+    for (const version of baseRecord.fix_versions) {
+      const key = `${baseRecord.project_key}\u0000${version}`;
+
+      if (!this.releases.has(key)) {
+        this.releases.set(key, { project: baseRecord.project, project_key: baseRecord.project_key, version, issues: [] });
+      }
+
+      this.releases.get(key).issues.push({
+        issue_key: baseRecord.issue_key,
+        issue_type: baseRecord.issue_type || 'Other',
+        summary: baseRecord.summary
+      });
+    }
+  }
+
+  createReleaseNoteItems(options = {}) {
+    const minIssues = options.minIssues ?? 3;
+    const maxIssues = options.maxIssues ?? 100;
+    const byKey = (a, b) => a.issue_key.localeCompare(b.issue_key, undefined, { numeric: true });
+
+    return [...this.releases.values()]
+      .filter(release => release.issues.length >= minIssues)
+      .sort((a, b) => a.project_key.localeCompare(b.project_key) || a.version.localeCompare(b.version, undefined, { numeric: true }))
+      .map(release => {
+        const issues = release.issues.sort(byKey).slice(0, maxIssues);
+        if (issues.length < release.issues.length) {
+          this.budget.truncations++;
+        }
+
+        return this.createReleaseNoteItem(release, issues);
+      });
+  }
+
+  createReleaseNoteItem(release, issues) {
+    const types = [...new Set(issues.map(issue => issue.issue_type))].sort((a, b) =>
+      (RELEASE_NOTE_SECTIONS.indexOf(a) + 1 || Infinity) - (RELEASE_NOTE_SECTIONS.indexOf(b) + 1 || Infinity) || a.localeCompare(b)
+    );
+
+    const sections = types.map(type => [
+      `### ${type}`,
+      ...issues.filter(issue => issue.issue_type === type).map(issue => `- ${issue.issue_key}: ${issue.summary}`)
+    ].join('\n'));
+
+    return {
+      type: 'release_notes',
+      metadata: {
+        project: release.project_key,
+        version: release.version,
+        group_key: `release:${release.project_key}:${release.version}`,
+        issue_count: release.issues.length
+      },
+      instruction: `Write the release notes for ${release.project} ${release.version} from the issues fixed in it, grouped by issue type.`,
+      input: issues.map(issue => `${issue.issue_key} (${issue.issue_type}): ${issue.summary}`).join('\n'),
+      output: [`## ${release.project} ${release.version}`, ...sections].join('\n\n')
+    };
+  }
+
+  // One record per maintainer reply: the thread up to that reply as turns
+  // (issue and other people's comments as user turns, earlier maintainer
+  // comments as assistant turns) and the reply as the final assistant turn.
+  // Maintainers are the assignee and whoever moved the issue through the
+  // workflow; without either, everyone but the reporter.
+  createThreadReplyItems(baseRecord, comments, options = {}) {
+    const maintainers = new Set([baseRecord.assignee, ...baseRecord.status_transitions.map(t => t.author)].filter(Boolean));
+    const isMaintainer = comment => !comment.is_bot && (maintainers.size > 0
+      ? maintainers.has(comment.author)
+      : comment.author !== baseRecord.reporter);
+    const roleOf = this.threadRoles(baseRecord, maintainers);
+
+    // Participants are numbered in order of first comment, the same in every
+    // record of the thread.
+    comments.forEach(comment => roleOf(comment.author, comment));
+
+    const positions = comments
+      .map((comment, index) => index)
+      .filter(index => isMaintainer(comments[index]) && this.isReplyCandidate(comments[index].body, options));
+
+    // Long threads would otherwise dominate; the replies kept are a stable
+    // pick, so reruns produce the same records.
+    const maxReplies = options.maxRepliesPerIssue ?? 5;
+    const chosen = positions.length <= maxReplies
+      ? positions
+      : positions
+        .map(index => ({ index, rank: stableFraction(`thread_reply:${baseRecord.issue_key}:${comments[index].comment_id}`) }))
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, maxReplies)
+        .map(item => item.index)
+        .sort((a, b) => a - b);
+
+    return chosen.map(index => this.createThreadReplyItem(baseRecord, comments, index, { isMaintainer, roleOf, options }));
+  }
+
+  createThreadReplyItem(baseRecord, comments, index, { isMaintainer, roleOf, options }) {
+    const reply = comments[index];
+    const maxTokens = this.budgetFor(options, DISCUSSION_TOKENS);
+    const opening = `${roleOf(baseRecord.reporter)} opened ${baseRecord.issue_key} (${baseRecord.issue_type}, ${baseRecord.priority}): ` +
+      `${baseRecord.summary}\n\n${this.budget.truncate(baseRecord.description, Math.floor(maxTokens / 2))}`;
+    const speak = comment => `${roleOf(comment.author, comment)}: ${this.budget.truncate(comment.body, Math.floor(maxTokens / 4))}`;
+
+    // The most recent comments that fit, at most `contextComments` of them.
+    let context = comments.slice(Math.max(0, index - (options.contextComments ?? 10)), index);
+    let used = this.budget.count(opening) + context.reduce((sum, comment) => sum + this.budget.count(speak(comment)), 0);
+    while (context.length > 0 && used > maxTokens) {
+      used -= this.budget.count(speak(context[0]));
+      context = context.slice(1);
+    }
+
+    const turns = [{ role: 'user', content: `${THREAD_REPLY_INSTRUCTION}\n\n${opening}` }];
+    for (const comment of context) {
+      const role = isMaintainer(comment) ? 'assistant' : 'user';
+      const last = turns[turns.length - 1];
+
+      if (last.role === role) {
+        last.content += `\n\n${speak(comment)}`;
+      } else {
+        turns.push({ role, content: speak(comment) });
+      }
+    }
+
+    // Chat formats need the reply to follow a user turn.
+    if (turns[turns.length - 1].role === 'assistant') {
+      turns.push({ role: 'user', content: `Continue as ${roleOf(reply.author, reply)}.` });
+    }
+
+    turns.push({ role: 'assistant', content: reply.body });
+
+    return {
+      type: 'thread_reply',
+      metadata: {
+        issue_key: baseRecord.issue_key,
+        project: baseRecord.project_key,
+        comment_id: reply.comment_id,
+        position: index,
+        context_comments: context.length,
+        reply_role: roleOf(reply.author, reply)
+      },
+      instruction: THREAD_REPLY_INSTRUCTION,
+      turns,
+      output: reply.body
+    };
+  }
+
+  // Speakers are named by their part in the issue, never by name.
+  threadRoles(baseRecord, maintainers) {
+    const participants = new Map();
+
+    return (author, comment = null) => {
+      if (comment?.is_bot) return 'automated';
+
+      const roles = [];
+      if (author === baseRecord.reporter) roles.push('reporter');
+      if (author === baseRecord.assignee) roles.push('assignee');
+      else if (maintainers.has(author)) roles.push('maintainer');
+      if (roles.length > 0) return roles.join('/');
+
+      if (!participants.has(author)) {
+        participants.set(author, `participant ${participants.size + 1}`);
       }
+      return participants.get(author);
     };
   }
 
-  buildIssueContext(record) {
+  // Filters out replies that teach nothing: too short or too long, mostly
+  // quoted text, or bare votes and thanks.
+  isReplyCandidate(body, options = {}) {
+    const text = (body || '').trim();
+    const ownLines = text.split('\n').filter(line => line.trim() && !line.trim().startsWith('>'));
+
+    if (text.length < (options.minReplyLength ?? 40)) return false;
+    if (this.budget.count(text) > (options.maxReplyTokens ?? 512)) return false;
+    if (ownLines.join('\n').length < text.length / 2) return false;
+
+    return !LOW_QUALITY_REPLY.test(text);
+  }
+
+  async loadLatestPatch(attachments) {
+    const patches = attachments
+      .filter(a => a.content_hash && /\.(patch|diff)$/i.test(a.filename))
+      .sort((a, b) => new Date(b.created_date) - new Date(a.created_date));
+
+    for (const attachment of patches) {
+      const content = await this.attachmentStore.read(attachment.content_hash);
+      if (content) {
+        return { ...attachment, content: this.redactor ? this.redactor.redactText(content) : content };
+      }
+    }
+
+    return null;
+  }
+
+  // With `maxTokens` the description is truncated to whatever the rest of
+  // the context leaves over.
+  buildIssueContext(record, maxTokens = null) {
+    let footer = '';
+
+    if (record.components.length > 0) {
+      footer += `\nComponents: ${record.components.join(', ')}\n`;
+    }
+
+    if (record.labels.length > 0) {
+      footer += `Labels: ${record.labels.join(', ')}\n`;
+    }
+
     let context = `Issue: ${record.issue_key}\n`;
     context += `Project: ${record.project}\n`;
     context += `Type: ${record.issue_type}\n`;
@@ -214,18 +1118,13 @@ export class TextFormatter {
     context += `\nSummary: ${record.summary}\n`;
 
     if (record.description) {
-      context += `\nDescription:\n${record.description}\n`;
+      const descriptionTokens = maxTokens == null
+        ? null
+        : Math.max(maxTokens - this.budget.count(`${context}\nDescription:\n${footer}`), 0);
+      context += `\nDescription:\n${this.budget.truncate(record.description, descriptionTokens)}\n`;
     }
 
-    if (record.components.length > 0) {
-      context += `\nComponents: ${record.components.join(', ')}\n`;
-    }
-
-    if (record.labels.length > 0) {
-      context += `Labels: ${record.labels.join(', ')}\n`;
-    }
-
-    return context;
+    return context + footer;
   }
 
   generateSummary(record) {
@@ -251,19 +1150,15 @@ export class TextFormatter {
     return summary;
   }
 
-  extractKeyPoints(comments) {
+  extractKeyPoints(comments, decisions = extractDecisions(comments)) {
     const keyPoints = [];
+    const humanComments = comments.filter(c => !c.is_bot);
 
-    if (comments.length > 0) {
-      keyPoints.push(`Discussion involves ${new Set(comments.map(c => c.author)).size} participants`);
-    }
-
-    const recentComments = comments.slice(-3);
-    if (recentComments.length > 0) {
-      keyPoints.push('Recent activity suggests ongoing development or discussion');
+    if (humanComments.length > 0) {
+      keyPoints.push(`Discussion involves ${new Set(humanComments.map(c => c.author)).size} participants`);
     }
 
-    return keyPoints;
+    return [...keyPoints, ...decisions.map(describeDecision)];
   }
 
   async exportProjectSeparately(projectKeys, outputDir) {
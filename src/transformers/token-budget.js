@@ -0,0 +1,136 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const TRUNCATION_MARKER = '[…truncated]';
+
+const CODE_BLOCK = /```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)/g;
+
+// About four characters per token for English prose and code with the usual
+// BPE vocabularies. Close enough to budget with; use a real tokenizer when
+// records have to fit a model's context exactly.
+export function approximateTokens(text) {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+// A tokenizer module exports `countTokens(text)` (or a default function)
+// returning a number synchronously, e.g. a thin wrapper around tiktoken.
+export async function loadTokenizer(spec) {
+  if (!spec || spec === 'approx') {
+    return approximateTokens;
+  }
+
+  const exported = await import(pathToFileURL(path.resolve(spec)).href);
+  const countTokens = exported.countTokens || exported.default;
+
+  if (typeof countTokens !== 'function') {
+    throw new Error(`Tokenizer module ${spec} must export a countTokens(text) function`);
+  }
+
+  return countTokens;
+}
+
+// Largest offset in the ascending `offsets` whose prefix fits, or 0.
+function lastFitting(offsets, fits) {
+  let low = 0;
+  let high = offsets.length - 1;
+  let best = 0;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (fits(offsets[middle])) {
+      best = offsets[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return best;
+}
+
+export class TokenBudget {
+  constructor(options = {}) {
+    this.countTokens = options.countTokens || approximateTokens;
+    this.marker = options.marker || TRUNCATION_MARKER;
+    this.truncations = 0;
+  }
+
+  count(text) {
+    return text ? this.countTokens(String(text)) : 0;
+  }
+
+  // Cuts `text` to at most `maxTokens`, preferring (in order) a paragraph or
+  // code-block boundary, a sentence end, a line break and a word break. A
+  // boundary is only taken if it keeps at least half of what would fit, so a
+  // long final paragraph is cut at a sentence rather than dropped. Code blocks
+  // cut mid-way are closed again.
+  truncate(text, maxTokens) {
+    if (!text || maxTokens == null || this.count(text) <= maxTokens) {
+      return text;
+    }
+
+    this.truncations++;
+
+    const budget = maxTokens - this.count(`\n${this.marker}\n\`\`\``);
+    if (budget <= 0) {
+      return this.marker;
+    }
+
+    const fits = offset => this.count(text.slice(0, offset)) <= budget;
+    const { blocks, sentences, lines, words, codeRanges } = this.boundaries(text);
+    const candidates = [blocks, sentences, lines, words].map(offsets => lastFitting(offsets, fits));
+    const longest = Math.max(...candidates);
+
+    let cut = candidates.find(offset => offset > 0 && offset >= longest / 2);
+    if (!cut) {
+      cut = lastFitting(Array.from({ length: text.length }, (_, index) => index + 1), fits);
+    }
+
+    const openCode = codeRanges.find(([start, end]) => cut > start && cut < end);
+    const kept = text.slice(0, cut).trimEnd();
+
+    return `${kept}${openCode ? `\n${text.slice(openCode[0], openCode[0] + 3)}` : ''}\n${this.marker}`;
+  }
+
+  boundaries(text) {
+    const codeRanges = [...text.matchAll(CODE_BLOCK)].map(match => [match.index, match.index + match[0].length]);
+    const inCode = offset => codeRanges.some(([start, end]) => offset > start && offset < end);
+    const collect = (pattern, allowInCode = false) => [...text.matchAll(pattern)]
+      .map(match => match.index + match[0].length)
+      .filter(offset => allowInCode || !inCode(offset));
+
+    return {
+      blocks: [...collect(/\n\s*\n/g), ...codeRanges.map(([, end]) => end)].sort((a, b) => a - b),
+      sentences: collect(/[.!?](?=\s)/g),
+      lines: collect(/\n/g, true),
+      words: collect(/\s+/g),
+      codeRanges
+    };
+  }
+
+  // Packs items into consecutive windows of at most `maxTokens`, each window
+  // repeating the last `overlap` items of the previous one. An item larger
+  // than the budget gets a window of its own.
+  chunk(items, maxTokens, overlap = 0, countItem = item => this.count(item)) {
+    const sizes = items.map(countItem);
+    const chunks = [];
+    let start = 0;
+
+    while (start < items.length) {
+      let end = start;
+      let used = 0;
+
+      while (end < items.length && (end === start || used + sizes[end] <= maxTokens)) {
+        used += sizes[end];
+        end++;
+      }
+
+      chunks.push(items.slice(start, end));
+      if (end >= items.length) break;
+
+      start = Math.max(end - overlap, start + 1);
+    }
+
+    return chunks;
+  }
+}
@@ -0,0 +1,237 @@
+const PLACEHOLDER = '\u0000';
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|bmp|webp)$/i;
+
+export class WikiMarkupConverter {
+  convert(markup) {
+    if (!markup) return '';
+
+    const blocks = [];
+    const stash = (content) => {
+      blocks.push(content);
+      return `\n${PLACEHOLDER}B${blocks.length - 1}${PLACEHOLDER}\n`;
+    };
+
+    let text = markup.replace(/\r\n?/g, '\n');
+
+    // Code and noformat bodies are verbatim, so they are pulled out before any
+    // other rule can touch them. An unclosed block runs to the end of the text.
+    text = text.replace(
+      /\{(code|noformat)(?::([^}]*))?\}([\s\S]*?)(?:\{\1\}|$(?![\s\S]))/g,
+      (match, tag, params, body) => stash(this.renderCodeBlock(tag, params, body))
+    );
+
+    text = text.replace(
+      /\{quote\}([\s\S]*?)\{quote\}/g,
+      (match, body) => stash(this.prefixLines(this.convert(body.trim()), '> '))
+    );
+
+    text = text.replace(
+      /\{panel(?::([^}]*))?\}([\s\S]*?)\{panel\}/g,
+      (match, params, body) => {
+        const title = this.parseParams(params).title;
+        const content = this.convert(body.trim());
+        return stash(this.prefixLines(title ? `**${title}**\n\n${content}` : content, '> '));
+      }
+    );
+
+    text = text
+      .replace(/\{color(?::[^}]*)?\}/g, '')
+      .replace(/\{anchor(?::[^}]*)?\}/g, '');
+
+    const output = this.convertLines(text.split('\n')).join('\n');
+
+    return output
+      .replace(new RegExp(`${PLACEHOLDER}B(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => blocks[index])
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  renderCodeBlock(tag, params, body) {
+    let language = '';
+
+    if (tag === 'code' && params) {
+      const parsed = this.parseParams(params);
+      language = parsed.language || parsed[''] || '';
+    }
+
+    const code = body.replace(/^\n+|\s+$/g, '');
+    const fence = code.includes('```') ? '~~~' : '```';
+
+    return `${fence}${language.toLowerCase()}\n${code}\n${fence}`;
+  }
+
+  parseParams(params) {
+    const parsed = {};
+
+    for (const part of (params || '').split('|')) {
+      const [key, ...rest] = part.split('=');
+      if (rest.length > 0) {
+        parsed[key.trim()] = rest.join('=').trim();
+      } else if (key.trim()) {
+        parsed[''] = key.trim();
+      }
+    }
+
+    return parsed;
+  }
+
+  prefixLines(text, prefix) {
+    return text.split('\n').map(line => (line ? `${prefix}${line}` : prefix.trimEnd())).join('\n');
+  }
+
+  convertLines(lines) {
+    const output = [];
+    let table = [];
+
+    const flushTable = () => {
+      if (table.length > 0) {
+        output.push(...this.renderTable(table));
+        table = [];
+      }
+    };
+
+    for (const rawLine of lines) {
+      const line = rawLine.trimEnd();
+      const trimmed = line.trim();
+
+      if (trimmed.startsWith('|')) {
+        table.push(trimmed);
+        continue;
+      }
+      flushTable();
+
+      if (trimmed.startsWith(PLACEHOLDER)) {
+        output.push(trimmed);
+        continue;
+      }
+
+      const heading = trimmed.match(/^h([1-6])\.\s+(.*)$/);
+      if (heading) {
+        output.push('', `${'#'.repeat(parseInt(heading[1]))} ${this.convertInline(heading[2])}`, '');
+        continue;
+      }
+
+      const blockquote = trimmed.match(/^bq\.\s+(.*)$/);
+      if (blockquote) {
+        output.push(`> ${this.convertInline(blockquote[1])}`);
+        continue;
+      }
+
+      if (/^-{4,}$/.test(trimmed)) {
+        output.push('', '---', '');
+        continue;
+      }
+
+      const listItem = trimmed.match(/^([*#]+|-)\s+(.*)$/);
+      if (listItem) {
+        output.push(this.renderListItem(listItem[1], listItem[2]));
+        continue;
+      }
+
+      output.push(this.convertInline(line));
+    }
+
+    flushTable();
+    return output;
+  }
+
+  renderListItem(markers, content) {
+    let indent = '';
+
+    for (const marker of markers.slice(0, -1)) {
+      indent += marker === '#' ? '   ' : '  ';
+    }
+
+    const bullet = markers.endsWith('#') ? '1.' : '-';
+    return `${indent}${bullet} ${this.convertInline(content)}`;
+  }
+
+  renderTable(rows) {
+    const parsed = rows.map(row => this.splitTableRow(row).map(cell => this.convertInline(cell).replace(/\|/g, '\\|')));
+    const width = Math.max(...parsed.map(cells => cells.length));
+    const pad = cells => [...cells, ...Array(width - cells.length).fill('')];
+    const renderRow = cells => `| ${pad(cells).join(' | ')} |`;
+
+    return [
+      '',
+      renderRow(parsed[0]),
+      renderRow(Array(width).fill('---')),
+      ...parsed.slice(1).map(renderRow),
+      ''
+    ];
+  }
+
+  splitTableRow(row) {
+    const cells = [];
+    let current = '';
+    let depth = 0;
+
+    const body = row.replace(/^\|+/, '').replace(/\|+$/, '');
+
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+
+      if (char === '[' || char === '{') depth++;
+      if ((char === ']' || char === '}') && depth > 0) depth--;
+
+      if (char === '|' && depth === 0) {
+        cells.push(current.trim());
+        current = '';
+        while (body[i + 1] === '|') i++;
+        continue;
+      }
+
+      current += char;
+    }
+
+    cells.push(current.trim());
+    return cells;
+  }
+
+  convertInline(text) {
+    const tokens = [];
+    const protect = (content) => {
+      tokens.push(content);
+      return `${PLACEHOLDER}T${tokens.length - 1}${PLACEHOLDER}`;
+    };
+
+    let result = text
+      .replace(/\{\{(.+?)\}\}/g, (match, code) => protect(`\`${code}\``))
+      .replace(/\[([^\]|]*)\|([^\]]+)\]/g, (match, label, target) => protect(this.renderLink(label, target)))
+      .replace(/\[~([^\]]+)\]/g, (match, user) => protect(`@${user.replace(/^accountid:/, '')}`))
+      .replace(/\[\^([^\]]+)\]/g, (match, attachment) => protect(attachment))
+      .replace(/\[((?:https?|ftp|mailto):[^\]\s]+)\]/g, (match, url) => protect(`<${url}>`))
+      .replace(/!([^!\s|][^!|\n]*?)(?:\|[^!\n]*)?!/g, (match, source) =>
+        IMAGE_EXTENSIONS.test(source) || /^https?:/.test(source)
+          ? protect(`![${source.split('/').pop()}](${source})`)
+          : match
+      )
+      .replace(/\bhttps?:\/\/[^\s<>\]]+/g, url => protect(url));
+
+    // Delimiters only count at word edges and never doubled, so identifiers
+    // such as __init__, snake_case names and --flags stay as written.
+    result = result
+      .replace(/(^|[\s(\[>])\*([^\s*](?:[^*]*?[^\s*])?)\*(?=$|[\s.,;:!?)\]])/g, '$1**$2**')
+      .replace(/(^|[\s(\[>])_([^\s_](?:[^_]*?[^\s_])?)_(?=$|[\s.,;:!?)\]])/g, '$1*$2*')
+      .replace(/(^|[\s(\[>])-([^\s-](?:[^-]*?[^\s-])?)-(?=$|[\s.,;:!?)\]])/g, '$1~~$2~~')
+      .replace(/(^|[\s(\[>])\+([^\s+](?:[^+]*?[^\s+])?)\+(?=$|[\s.,;:!?)\]])/g, '$1$2')
+      .replace(/\?\?(\S(?:.*?\S)?)\?\?/g, '*$1*')
+      .replace(/\\\\\s*/g, '\n');
+
+    return result.replace(new RegExp(`${PLACEHOLDER}T(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => tokens[index]);
+  }
+
+  renderLink(label, target) {
+    const url = target.trim();
+
+    if (url.startsWith('~')) {
+      return `@${url.slice(1)}`;
+    }
+
+    if (!/^(https?|ftp|mailto):/.test(url)) {
+      return label || url;
+    }
+
+    return `[${label || url}](${url})`;
+  }
+}
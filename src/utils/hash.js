@@ -0,0 +1,6 @@
+import crypto from 'crypto';
+
+// Maps a key to a number in [0, 1) that is the same on every run and machine.
+export function stableFraction(key) {
+  return crypto.createHash('sha256').update(String(key)).digest().readUInt32BE(0) / 0x100000000;
+}
@@ -0,0 +1,28 @@
+/*
+  # Add Incremental Sync State
+
+  ## Changes
+  Track an `updated` high-water mark per project so that later runs can
+  re-query only issues changed since the previous run instead of paging
+  through `startAt` offsets.
+
+  ### `scraper_state`
+  - `sync_mode` (text) - Mode of the last run (full, sync)
+  - `last_updated_watermark` (timestamptz) - Latest Jira `updated` value processed
+
+  ### `comments`
+  - Allow anon to update comments so edited comments are upserted on sync
+
+  ## Indexes
+  - Index on updated_date in issues table for incremental queries
+*/
+
+ALTER TABLE scraper_state ADD COLUMN IF NOT EXISTS sync_mode text DEFAULT 'full';
+ALTER TABLE scraper_state ADD COLUMN IF NOT EXISTS last_updated_watermark timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_issues_updated_date ON issues(updated_date);
+
+CREATE POLICY "Allow anon to update comments"
+  ON comments FOR UPDATE
+  TO anon
+  USING (true);
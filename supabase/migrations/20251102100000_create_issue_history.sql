@@ -0,0 +1,62 @@
+/*
+  # Create Issue History Table
+
+  ## Overview
+  Stores the Jira changelog of each issue, one row per changed field, so that
+  workflow transitions (Open → In Progress → Patch Available → Resolved) and
+  priority/assignee changes can be replayed in order.
+
+  ## New Tables
+
+  ### `issue_history`
+  - `id` (uuid, primary key) - Unique identifier
+  - `issue_id` (uuid, foreign key) - Reference to issues table
+  - `history_id` (text) - Jira's changelog history ID
+  - `item_index` (int) - Position of the item within the history entry
+  - `author` (text) - User who made the change
+  - `field` (text) - Changed field (status, priority, assignee, ...)
+  - `field_type` (text) - Jira field type (jira, custom)
+  - `from_value` (text) - Raw previous value
+  - `from_string` (text) - Display previous value
+  - `to_value` (text) - Raw new value
+  - `to_string` (text) - Display new value
+  - `created_date` (timestamptz) - When the change happened in Jira
+  - `created_at` (timestamptz) - Record creation timestamp
+
+  ## Indexes
+  - Unique on (issue_id, history_id, item_index) for idempotent upserts
+  - Index on issue_id for foreign key performance
+  - Index on field for per-field timelines
+*/
+
+CREATE TABLE IF NOT EXISTS issue_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  issue_id uuid NOT NULL REFERENCES issues(id) ON DELETE CASCADE,
+  history_id text NOT NULL,
+  item_index int NOT NULL DEFAULT 0,
+  author text,
+  field text NOT NULL,
+  field_type text,
+  from_value text,
+  from_string text,
+  to_value text,
+  to_string text,
+  created_date timestamptz,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT issue_history_item_unique UNIQUE (issue_id, history_id, item_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_history_issue_id ON issue_history(issue_id);
+CREATE INDEX IF NOT EXISTS idx_issue_history_field ON issue_history(field);
+
+ALTER TABLE issue_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access for issue_history"
+  ON issue_history FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Allow anon to insert issue_history"
+  ON issue_history FOR INSERT
+  TO anon
+  WITH CHECK (true);
@@ -0,0 +1,71 @@
+/*
+  # Create Issue Links Table
+
+  ## Overview
+  Stores issue links, subtasks and parent/epic relationships as a directed
+  edge list. Edges are keyed by issue key rather than by foreign key so a
+  link to an issue in a project that has not been scraped is still kept.
+
+  ## New Tables
+
+  ### `issue_links`
+  - `id` (uuid, primary key) - Unique identifier
+  - `source_issue_key` (text) - Issue the link was read from
+  - `target_issue_key` (text) - Linked issue
+  - `target_project_key` (text) - Project of the linked issue
+  - `link_type` (text) - Jira link type name (Duplicate, Blocker, Subtask, Epic, ...)
+  - `direction` (text) - outward or inward, as seen from the source issue
+  - `relation` (text) - Human-readable relation (e.g. "is blocked by")
+  - `link_id` (text) - Jira's issue link ID, if any
+  - `target_summary` (text) - Summary of the linked issue at scrape time
+  - `target_status` (text) - Status of the linked issue at scrape time
+  - `target_issue_type` (text) - Type of the linked issue at scrape time
+  - `created_at` (timestamptz) - Record creation timestamp
+
+  ## Indexes
+  - Unique on (source_issue_key, target_issue_key, link_type, direction)
+  - Index on source_issue_key and target_issue_key for graph traversal
+  - Index on link_type
+*/
+
+CREATE TABLE IF NOT EXISTS issue_links (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_issue_key text NOT NULL,
+  target_issue_key text NOT NULL,
+  target_project_key text,
+  link_type text NOT NULL,
+  direction text NOT NULL,
+  relation text,
+  link_id text,
+  target_summary text,
+  target_status text,
+  target_issue_type text,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT issue_links_edge_unique UNIQUE (source_issue_key, target_issue_key, link_type, direction)
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_links_source ON issue_links(source_issue_key);
+CREATE INDEX IF NOT EXISTS idx_issue_links_target ON issue_links(target_issue_key);
+CREATE INDEX IF NOT EXISTS idx_issue_links_type ON issue_links(link_type);
+
+ALTER TABLE issue_links ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access for issue_links"
+  ON issue_links FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Allow anon to insert issue_links"
+  ON issue_links FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anon to update issue_links"
+  ON issue_links FOR UPDATE
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow anon to delete issue_links"
+  ON issue_links FOR DELETE
+  TO anon
+  USING (true);
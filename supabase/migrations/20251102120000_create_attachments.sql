@@ -0,0 +1,61 @@
+/*
+  # Create Attachments Table
+
+  ## Overview
+  Stores attachment metadata for each issue. Text attachments (patches,
+  diffs, logs) can optionally be downloaded into local content-addressed
+  storage; `content_hash` points at the stored file.
+
+  ## New Tables
+
+  ### `attachments`
+  - `id` (uuid, primary key) - Unique identifier
+  - `issue_id` (uuid, foreign key) - Reference to issues table
+  - `attachment_id` (text, unique) - Jira's attachment ID
+  - `filename` (text) - Original file name
+  - `size` (bigint) - Size in bytes
+  - `mime_type` (text) - MIME type reported by Jira
+  - `author` (text) - Uploader
+  - `created_date` (timestamptz) - Upload date in Jira
+  - `content_url` (text) - Jira download URL
+  - `content_hash` (text) - SHA-256 of the downloaded content, if stored
+  - `created_at` (timestamptz) - Record creation timestamp
+  - `updated_at` (timestamptz) - Last update timestamp
+
+  ## Indexes
+  - Index on issue_id for foreign key performance
+*/
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  issue_id uuid NOT NULL REFERENCES issues(id) ON DELETE CASCADE,
+  attachment_id text UNIQUE NOT NULL,
+  filename text NOT NULL,
+  size bigint,
+  mime_type text,
+  author text,
+  created_date timestamptz,
+  content_url text,
+  content_hash text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_issue_id ON attachments(issue_id);
+
+ALTER TABLE attachments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access for attachments"
+  ON attachments FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Allow anon to insert attachments"
+  ON attachments FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Allow anon to update attachments"
+  ON attachments FOR UPDATE
+  TO anon
+  USING (true);
@@ -0,0 +1,19 @@
+/*
+  # Add Raw Markup Columns
+
+  ## Changes
+  Descriptions and comment bodies are now stored as Markdown converted from
+  Jira wiki markup (or ADF). The original content is kept alongside.
+
+  ### `issues`
+  - `description_raw` (text) - Original description markup as returned by Jira
+
+  ### `comments`
+  - `body_raw` (text) - Original comment markup as returned by Jira
+
+  Rows where the raw column is NULL predate the conversion and still hold raw
+  markup in `description`/`body`; the exporter converts them on the fly.
+*/
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS description_raw text;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS body_raw text;
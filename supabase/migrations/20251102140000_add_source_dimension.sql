@@ -0,0 +1,58 @@
+/*
+  # Add Source Dimension
+
+  ## Overview
+  Issues can now be scraped from several Jira instances. Keys such as
+  `KAFKA-1` are only unique within one instance, so every table that is
+  looked up by a Jira key gains a `source` column (the configured instance
+  name) and its unique constraints are widened to include it. Existing rows
+  belong to the Apache instance.
+
+  ## Changes
+
+  ### `projects`
+  - `source` (text) - Jira instance name, defaults to 'apache'
+  - Unique (source, project_key) replaces unique (project_key)
+
+  ### `issues`
+  - `source` (text) - Jira instance name, defaults to 'apache'
+  - Unique (source, issue_key) replaces unique (issue_key)
+
+  ### `scraper_state`
+  - `source` (text) - Jira instance name, defaults to 'apache'
+  - Unique (source, project_key) replaces unique (project_key)
+
+  ### `issue_links`
+  - `source` (text) - Jira instance name, defaults to 'apache'
+  - Unique edge constraint now includes source
+
+  ### `comments` / `attachments`
+  - Jira IDs are scoped to the parent issue: unique (issue_id, comment_id)
+    and unique (issue_id, attachment_id)
+*/
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS source text NOT NULL DEFAULT 'apache';
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_project_key_key;
+ALTER TABLE projects ADD CONSTRAINT projects_source_project_key_unique UNIQUE (source, project_key);
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS source text NOT NULL DEFAULT 'apache';
+ALTER TABLE issues DROP CONSTRAINT IF EXISTS issues_issue_key_key;
+ALTER TABLE issues ADD CONSTRAINT issues_source_issue_key_unique UNIQUE (source, issue_key);
+
+ALTER TABLE scraper_state ADD COLUMN IF NOT EXISTS source text NOT NULL DEFAULT 'apache';
+ALTER TABLE scraper_state DROP CONSTRAINT IF EXISTS scraper_state_project_key_key;
+ALTER TABLE scraper_state ADD CONSTRAINT scraper_state_source_project_key_unique UNIQUE (source, project_key);
+
+ALTER TABLE issue_links ADD COLUMN IF NOT EXISTS source text NOT NULL DEFAULT 'apache';
+ALTER TABLE issue_links DROP CONSTRAINT IF EXISTS issue_links_edge_unique;
+ALTER TABLE issue_links ADD CONSTRAINT issue_links_edge_unique
+  UNIQUE (source, source_issue_key, target_issue_key, link_type, direction);
+
+ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_comment_id_unique;
+ALTER TABLE comments ADD CONSTRAINT comments_issue_comment_unique UNIQUE (issue_id, comment_id);
+
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_attachment_id_key;
+ALTER TABLE attachments ADD CONSTRAINT attachments_issue_attachment_unique UNIQUE (issue_id, attachment_id);
+
+CREATE INDEX IF NOT EXISTS idx_issues_source ON issues(source);
+CREATE INDEX IF NOT EXISTS idx_projects_source ON projects(source);
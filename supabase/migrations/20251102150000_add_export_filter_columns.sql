@@ -0,0 +1,25 @@
+/*
+  # Add Export Filter Support
+
+  ## Overview
+  Exports can be filtered by minimum comment count. Counting comments per
+  issue at export time cannot be expressed as a filter on the issues query,
+  so the count is stored on the issue when it is scraped.
+
+  ## Changes
+
+  ### `issues`
+  - `comment_count` (integer) - Number of comments Jira reports for the issue
+  - Backfilled from the stored comments
+
+  ## Indexes
+  - Index on `created_date`, `resolved_date` and `comment_count` for filtered exports
+*/
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS comment_count integer DEFAULT 0;
+
+UPDATE issues SET comment_count = (SELECT count(*) FROM comments WHERE comments.issue_id = issues.id);
+
+CREATE INDEX IF NOT EXISTS idx_issues_created_date ON issues(created_date);
+CREATE INDEX IF NOT EXISTS idx_issues_resolved_date ON issues(resolved_date);
+CREATE INDEX IF NOT EXISTS idx_issues_comment_count ON issues(comment_count);
@@ -0,0 +1,25 @@
+/*
+  # Flag Automated Comments
+
+  ## Overview
+  Many Apache threads are dominated by automated comments: precommit QA
+  reports, CI build results, GitHub pull request mirrors and commit notices.
+  Comments are classified when they are scraped so exports can drop them or
+  turn them into structured events.
+
+  ## Changes
+
+  ### `comments`
+  - `is_bot` (boolean) - Comment was posted by an automated account or matches
+    a known bot signature. NULL for comments scraped before this migration;
+    the exporter classifies those on the fly.
+  - `bot_kind` (text) - `qa`, `ci`, `pr`, `commit` or `other`
+
+  ## Indexes
+  - Index on `is_bot` for exports that exclude bot comments
+*/
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS is_bot boolean;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS bot_kind text;
+
+CREATE INDEX IF NOT EXISTS idx_comments_is_bot ON comments(is_bot);
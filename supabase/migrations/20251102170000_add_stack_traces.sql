@@ -0,0 +1,23 @@
+/*
+  # Store Parsed Stack Traces
+
+  ## Overview
+  SPARK and HADOOP bug reports often paste JVM or Python stack traces into the
+  description and comments. They are parsed when scraped so the exception,
+  frames and caused-by chain can be queried and exported without re-parsing
+  the text.
+
+  ## Changes
+
+  ### `issues`
+  - `stack_traces` (jsonb) - Traces found in the description: array of
+    `{ language, exception, message, frames, omitted_frames, caused_by }`,
+    frames as `{ class, method, file, line }`, innermost first. NULL for
+    issues scraped before this migration; the exporter parses those on the fly.
+
+  ### `comments`
+  - `stack_traces` (jsonb) - Traces found in the comment body, same shape
+*/
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS stack_traces jsonb;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS stack_traces jsonb;
@@ -0,0 +1,32 @@
+/*
+  # Store Account Identifiers
+
+  ## Overview
+  People were stored by display name only, while mentions in text refer to
+  them by username or account ID. Exports pseudonymize by account so a person
+  keeps one pseudonym whichever way they are referred to.
+
+  ## Changes
+  Each column holds the Jira Cloud `accountId`, or the username on Jira
+  Server/Data Center. NULL for rows scraped before this migration; the
+  exporter falls back to the display name for those.
+
+  ### `issues`
+  - `reporter_account` (text)
+  - `assignee_account` (text)
+
+  ### `comments`
+  - `author_account` (text)
+
+  ### `issue_history`
+  - `author_account` (text)
+
+  ### `attachments`
+  - `author_account` (text)
+*/
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS reporter_account text;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS assignee_account text;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS author_account text;
+ALTER TABLE issue_history ADD COLUMN IF NOT EXISTS author_account text;
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS author_account text;
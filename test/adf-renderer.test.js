@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdfRenderer } from '../src/transformers/adf-renderer.js';
+
+const renderer = new AdfRenderer();
+const text = (value, marks) => ({ type: 'text', text: value, marks });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const doc = (...content) => ({ type: 'doc', content });
+
+test('renders nothing for empty documents', () => {
+  assert.equal(renderer.render(null), '');
+  assert.equal(renderer.render(doc()), '');
+});
+
+test('renders headings, marks, mentions and links', () => {
+  assert.equal(
+    renderer.render(doc(
+      { type: 'heading', attrs: { level: 2 }, content: [text('Title')] },
+      paragraph(
+        text('Hello '),
+        text('bold ', [{ type: 'strong' }]),
+        text('code', [{ type: 'code' }]),
+        { type: 'hardBreak' },
+        text('next line '),
+        { type: 'mention', attrs: { id: 'x', text: '@Jun Rao' } },
+        text(' see '),
+        text('docs', [{ type: 'link', attrs: { href: 'http://x' } }]),
+        { type: 'inlineCard', attrs: { url: 'http://card' } }
+      )
+    )),
+    '## Title\n\nHello **bold** `code`\nnext line @Jun Rao see [docs](http://x)<http://card>'
+  );
+});
+
+test('renders nested lists and task lists', () => {
+  assert.equal(
+    renderer.render(doc(
+      {
+        type: 'bulletList',
+        content: [
+          {
+            type: 'listItem',
+            content: [paragraph(text('one')), { type: 'orderedList', content: [{ type: 'listItem', content: [paragraph(text('nested'))] }] }]
+          },
+          { type: 'listItem', content: [paragraph(text('two'))] }
+        ]
+      },
+      { type: 'taskList', content: [{ type: 'taskItem', attrs: { state: 'DONE' }, content: [text('done task')] }] }
+    )),
+    '- one\n  1. nested\n- two\n\n- [x] done task'
+  );
+});
+
+test('renders code blocks with a fence the code does not contain', () => {
+  assert.equal(
+    renderer.render(doc({ type: 'codeBlock', attrs: { language: 'java' }, content: [text('int x = 1;\nint y;')] })),
+    '```java\nint x = 1;\nint y;\n```'
+  );
+  assert.equal(renderer.render(doc({ type: 'codeBlock', content: [text('x ``` y')] })), '~~~\nx ``` y\n~~~');
+});
+
+test('renders tables with escaped pipes', () => {
+  const cell = (type, value) => ({ type, content: [paragraph(text(value))] });
+
+  assert.equal(
+    renderer.render(doc({
+      type: 'table',
+      content: [
+        { type: 'tableRow', content: [cell('tableHeader', 'H1'), cell('tableHeader', 'H2')] },
+        { type: 'tableRow', content: [cell('tableCell', 'a|b'), cell('tableCell', 'c')] }
+      ]
+    })),
+    '| H1 | H2 |\n| --- | --- |\n| a\\|b | c |'
+  );
+});
+
+test('renders panels, quotes, rules and the content of unknown nodes', () => {
+  assert.equal(
+    renderer.render(doc(
+      { type: 'panel', attrs: { panelType: 'warning' }, content: [paragraph(text('careful'))] },
+      { type: 'blockquote', content: [paragraph(text('quoted'))] },
+      { type: 'weirdNode', content: [paragraph(text('fallback'))] },
+      { type: 'rule' }
+    )),
+    '> **Warning:** careful\n\n> quoted\n\nfallback\n\n---'
+  );
+});
+
+test('leaves plain text as written', () => {
+  assert.equal(renderer.render(doc(paragraph(text('__init__ and a_b')))), '__init__ and a_b');
+});
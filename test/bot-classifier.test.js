@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BotClassifier, describeEvent } from '../src/services/bot-classifier.js';
+
+const classifier = new BotClassifier({ authors: { 'Build Bot': 'ci' } });
+const classify = (body, author = 'Someone') => classifier.classify({ author, body });
+
+const HADOOP_QA = [
+  '-1 overall.  Here are the results of testing the latest attachment',
+  '  against trunk revision 1234.',
+  '',
+  '    +1 @author.  The patch does not contain any @author tags.',
+  '',
+  '    -1 tests included.  The patch doesn\'t appear to include any new tests.'
+].join('\n');
+
+const YETUS = [
+  '| Vote | Subsystem | Runtime | Comment |',
+  '| --- | --- | --- | --- |',
+  '| 0 | reexec | 0m 1s | Docker mode activated. |',
+  '| -1 | unit | 90m | hadoop-common in the patch failed. |',
+  '| -1 | overall | 120m |  |'
+].join('\n');
+
+test('flags known bot accounts, including per-source ones', () => {
+  assert.deepEqual(classify('anything', 'Hadoop QA'), { is_bot: true, bot_kind: 'qa' });
+  assert.deepEqual(classify('anything', 'build bot'), { is_bot: true, bot_kind: 'ci' });
+});
+
+test('flags QA reports under other accounts by their layout', () => {
+  assert.deepEqual(classify(HADOOP_QA), { is_bot: true, bot_kind: 'qa' });
+  assert.deepEqual(classify(YETUS), { is_bot: true, bot_kind: 'qa' });
+  assert.deepEqual(classify('| {color:red}-1{color} | {color:red} overall {color} | 10m | |'), { is_bot: true, bot_kind: 'qa' });
+});
+
+test('flags CI, commit and pull request notices', () => {
+  assert.equal(classify('SUCCESS: Integrated in Hadoop-trunk-Commit #1234 (See [https://x])').bot_kind, 'ci');
+  assert.equal(classify("Commit 3fa9c1d in hadoop's branch refs/heads/trunk from Ann\n[ https://gitbox.apache.org/x ]\nFix it").bot_kind, 'commit');
+  assert.equal(classify('GitHub user ann opened a pull request:\n\n    https://github.com/apache/spark/pull/42').bot_kind, 'pr');
+});
+
+test('leaves human votes and reviews alone', () => {
+  for (const body of [
+    '+1 overall, LGTM',
+    '+1 overall. Thanks for the patch!',
+    'Nice work.\n-1 overall until the tests pass.',
+    '+1 overall.\nI ran the tests locally.'
+  ]) {
+    assert.deepEqual(classify(body, 'Ann'), { is_bot: false, bot_kind: null }, body);
+  }
+});
+
+test('turns QA and commit notices into events', () => {
+  const qa = classifier.toEvent({ author: 'Hadoop QA', body: YETUS, is_bot: true, bot_kind: 'qa' });
+  assert.equal(qa.vote, '-1');
+  assert.deepEqual(qa.failed_checks, ['unit', 'overall']);
+  assert.equal(classifier.toEvent({ author: 'Hadoop QA', body: HADOOP_QA, is_bot: true, bot_kind: 'qa' }).vote, '-1');
+
+  const commit = classifier.toEvent({
+    author: 'ASF subversion and git services',
+    body: "Commit 3fa9c1d in hadoop's branch refs/heads/trunk from Ann\n[ https://gitbox.apache.org/x ]\nHADOOP-1. Fix it",
+    is_bot: true,
+    bot_kind: 'commit'
+  });
+  assert.equal(describeEvent(commit), 'Commit 3fa9c1d on trunk: HADOOP-1. Fix it');
+});
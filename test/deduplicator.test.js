@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Deduplicator, normalizeText } from '../src/transformers/deduplicator.js';
+
+const BASE = 'The consumer rebalance fails when the group coordinator moves to another broker during a rolling restart of the cluster and offsets are lost';
+
+function deduplicate(issues, options) {
+  const deduplicator = new Deduplicator(options);
+  issues.forEach(([issueKey, summary, description]) => deduplicator.add({ issue_key: issueKey, summary, description }));
+  return deduplicator.finalize();
+}
+
+const ISSUES = [
+  ['A-1', 'Rebalance fails', BASE],
+  ['A-2', 'Rebalance fails', `${BASE.toUpperCase()}!`],
+  ['A-3', 'Rebalance fails', BASE.replace('rolling', 'full')],
+  ['A-4', 'New metric', 'Add a new metric for request latency percentiles in the producer and expose it via JMX for operators'],
+  ['A-5', 'Flaky test', ''],
+  ['A-6', 'Flaky test', ''],
+  ['A-7', 'Flaky tests', '']
+];
+
+test('normalizes case, punctuation, links and code blocks', () => {
+  assert.equal(normalizeText('Fix *this*: see https://x.org/a ```code``` NOW!'), 'fix this see now');
+});
+
+test('clusters exact and near duplicates under the earliest issue', () => {
+  const deduplicator = deduplicate(ISSUES, { threshold: 0.7 });
+  const { clusters } = deduplicator.report();
+
+  assert.deepEqual(clusters.map(cluster => [cluster.cluster_id, cluster.kind, cluster.members]), [
+    ['A-1', 'near', ['A-1', 'A-2', 'A-3']],
+    ['A-5', 'exact', ['A-5', 'A-6']]
+  ]);
+  assert.equal(deduplicator.clusterFor('A-4'), null);
+});
+
+test('short texts only match exactly', () => {
+  assert.equal(deduplicate(ISSUES, { threshold: 0.7 }).clusterFor('A-7'), null);
+});
+
+test('keep-one, drop and annotate decide which issues are written', () => {
+  const kept = mode => ISSUES.map(([key]) => key).filter(key => deduplicate(ISSUES, { mode, threshold: 0.7 }).keepIssue(key));
+
+  assert.deepEqual(kept('keep-one'), ['A-1', 'A-4', 'A-5', 'A-7']);
+  assert.deepEqual(kept('drop'), ['A-4', 'A-7']);
+  assert.deepEqual(kept('annotate'), ISSUES.map(([key]) => key));
+  assert.equal(deduplicate(ISSUES, { mode: 'drop', threshold: 0.7 }).droppedIssues, 5);
+});
+
+test('a high threshold keeps near duplicates apart', () => {
+  const { clusters } = deduplicate(ISSUES.slice(0, 4).filter(([key]) => key !== 'A-2'), { threshold: 0.99 }).report();
+  assert.deepEqual(clusters, []);
+});
+
+test('drops identical records whatever their metadata', () => {
+  const deduplicator = deduplicate(ISSUES, {});
+  const record = issueKey => ({ type: 'summary', input: 'same', output: 'same', metadata: { issue_key: issueKey } });
+
+  assert.equal(deduplicator.keepRecord(record('A-1')), true);
+  assert.equal(deduplicator.keepRecord(record('A-2')), false);
+  assert.equal(deduplicator.report().droppedRecords, 1);
+});
+
+test('rejects unknown modes and thresholds', () => {
+  assert.throws(() => new Deduplicator({ mode: 'merge' }), /Unknown dedup mode/);
+  assert.throws(() => new Deduplicator({ threshold: 0 }), /between 0 and 1/);
+});
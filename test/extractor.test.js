@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDecisions, extractReferences, extractEntities, describeDecision } from '../src/transformers/extractor.js';
+
+const comment = (author, body, extra = {}) => ({ author, body, is_bot: false, ...extra });
+
+test('finds decisions per sentence with their evidence', () => {
+  const decisions = extractDecisions([
+    comment('Ann', 'Thanks for the patch. LGTM.'),
+    comment('Bob', 'I committed this to trunk and branch-3.3. Thanks Ann!'),
+    comment('Cid', 'Closing as a duplicate of HADOOP-123.'),
+    comment('Dee', 'I could not reproduce this on 3.2.'),
+    comment('Eve', '-1, this breaks compatibility.')
+  ]);
+
+  assert.deepEqual(decisions.map(({ kind, author, comment_index }) => [kind, author, comment_index]), [
+    ['approve', 'Ann', 0],
+    ['committed', 'Bob', 1],
+    ['duplicate', 'Cid', 2],
+    ['cannot_reproduce', 'Dee', 3],
+    ['reject', 'Eve', 4]
+  ]);
+  assert.equal(decisions[1].branch, 'trunk');
+  assert.equal(decisions[1].evidence, 'I committed this to trunk and branch-3.3.');
+  assert.equal(decisions[2].duplicate_of, 'HADOOP-123');
+});
+
+test('skips bots, quoted replies and code blocks', () => {
+  const decisions = extractDecisions([
+    comment('Hadoop QA', '-1 overall. +1 javac', { is_bot: true }),
+    comment('Ann', '> LGTM\nI disagree.\n```\nreverted\n```')
+  ]);
+
+  assert.deepEqual(decisions, []);
+});
+
+test('describes decisions in plain sentences', () => {
+  assert.equal(describeDecision({ kind: 'committed', author: 'Bob', branch: 'trunk' }), 'Bob committed the change to trunk');
+  assert.equal(describeDecision({ kind: 'duplicate', author: 'Cid', duplicate_of: 'X-1' }), 'Cid closed the issue as a duplicate of X-1');
+  assert.equal(describeDecision({ kind: 'wont_fix', author: 'Dee' }), "Dee closed the issue as Won't Fix");
+});
+
+test('finds issue, pull request and commit references', () => {
+  const text = [
+    'Related to SPARK-100 and SPARK-200, see SPARK-1.',
+    'PR: https://github.com/apache/spark/pull/4242 and PR #17.',
+    'Fixed in commit 3fA9c1d2e and https://gitbox.apache.org/repos/asf?p=spark.git;h=abc1234def',
+    'sha 1234567 is not a hash with letters'
+  ].join('\n');
+
+  assert.deepEqual(extractReferences(text, 'SPARK-1'), {
+    issues: ['SPARK-100', 'SPARK-200'],
+    pull_requests: ['#4242', '#17'],
+    commits: ['abc1234def', '3fA9c1d2e']
+  });
+  assert.deepEqual(extractReferences(null), { issues: [], pull_requests: [], commits: [] });
+});
+
+test('finds exceptions, code identifiers and config keys', () => {
+  const entities = extractEntities(
+    'SparkContext throws java.lang.IllegalStateException from `stop()` and DAGScheduler.submitJob(). ' +
+    'Set spark.executor.memory = 4g; see org.apache.spark.util and Utils.scala. HADOOP-1 is unrelated.'
+  );
+
+  assert.deepEqual(entities.exceptions, ['java.lang.IllegalStateException']);
+  assert.deepEqual(entities.code_identifiers, ['stop()', 'DAGScheduler.submitJob()', 'SparkContext', 'DAGScheduler']);
+  assert.deepEqual(entities.config_keys, ['spark.executor.memory']);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FieldMapper } from '../src/services/field-mapper.js';
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary', custom: false, schema: { type: 'string' } },
+  { id: 'customfield_1', name: 'Reviewer', custom: true, schema: { type: 'user' } },
+  { id: 'customfield_2', name: 'Flags', custom: true, schema: { type: 'array', items: 'option' } },
+  { id: 'customfield_3', name: 'Story Points', custom: true, schema: { type: 'number' } },
+  { id: 'customfield_4', name: 'Target Date', custom: true, schema: { type: 'date' } }
+];
+
+const client = (issues = []) => ({
+  getFields: async () => FIELDS,
+  searchIssues: async (jql, startAt, max) => ({ issues: issues.slice(startAt, startAt + max) })
+});
+
+test('rejects mappings without a field or with an unknown target', () => {
+  assert.throws(() => new FieldMapper([{ field: 'Reviewer' }]), /require "field" and "target"/);
+  assert.throws(() => new FieldMapper([{ field: 'Reviewer', target: 'reviewer' }]), /Invalid field mapping target: reviewer/);
+});
+
+test('resolves mappings by id or display name and skips missing fields', async () => {
+  const mapper = new FieldMapper([
+    { field: 'reviewer', target: 'metadata.reviewer' },
+    { field: 'customfield_3', target: 'metadata.points', type: 'string' },
+    { field: 'Sprint', target: 'metadata.sprint' }
+  ]);
+
+  const resolved = await mapper.resolve(client());
+  assert.deepEqual(resolved.map(mapping => [mapping.fieldId, mapping.schema.type]), [['customfield_1', 'user'], ['customfield_3', 'string']]);
+  assert.deepEqual(mapper.fieldIds(), ['customfield_1', 'customfield_3']);
+  assert.equal(await mapper.resolve(null), resolved);
+});
+
+test('applies values to issue columns and metadata', async () => {
+  const mapper = new FieldMapper([
+    { field: 'Reviewer', target: 'metadata.reviewer' },
+    { field: 'Flags', target: 'labels' },
+    { field: 'Story Points', target: 'metadata.points' },
+    { field: 'Target Date', target: 'metadata.target' }
+  ]);
+  await mapper.resolve(client());
+
+  const issue = mapper.apply(
+    {
+      customfield_1: { displayName: 'Ann Lee', accountId: 'a1' },
+      customfield_2: [{ value: 'Patch' }, { value: 'Parent', child: { value: 'Child' } }],
+      customfield_3: '3.5',
+      customfield_4: null
+    },
+    { labels: ['kept'], metadata: { votes: 1 } }
+  );
+
+  assert.deepEqual(issue, {
+    labels: ['Patch', 'Parent / Child'],
+    metadata: { votes: 1, reviewer: 'Ann Lee', points: 3.5, target: null }
+  });
+});
+
+test('extracts dates and generic objects', () => {
+  const mapper = new FieldMapper();
+
+  assert.equal(mapper.extractValue('2024-01-02T03:04:05.000+0000', { type: 'datetime' }), '2024-01-02T03:04:05.000Z');
+  assert.equal(mapper.extractValue('not a date', { type: 'date' }), 'not a date');
+  assert.equal(mapper.extractValue({ name: '3.2.0' }, { type: 'version' }), '3.2.0');
+  assert.equal(mapper.extractValue({ key: 'K-1' }), 'K-1');
+  assert.equal(mapper.extractValue({ other: 1 }), '{"other":1}');
+  assert.equal(mapper.extractValue(undefined), null);
+});
+
+test('discovers populated fields, standard ones first', async () => {
+  const mapper = new FieldMapper([{ field: 'Reviewer', target: 'metadata.reviewer' }]);
+  const issues = [
+    { fields: { summary: 'a', customfield_1: { name: 'x' }, customfield_2: [] } },
+    { fields: { summary: 'b', customfield_1: null, customfield_3: 2 } }
+  ];
+
+  assert.deepEqual(await mapper.discover(client(issues), 'K'), [
+    { id: 'summary', name: 'Summary', custom: false, type: 'string', populated: 2, sampled: 2, mapped: false },
+    { id: 'customfield_1', name: 'Reviewer', custom: true, type: 'user', populated: 1, sampled: 2, mapped: true },
+    { id: 'customfield_3', name: 'Story Points', custom: true, type: 'number', populated: 1, sampled: 2, mapped: false }
+  ]);
+});
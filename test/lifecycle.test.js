@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolutionOutcome,
+  hoursToResolution,
+  resolutionTimeBucket,
+  resolvedBeforeCutoff,
+  fieldsAtCutoff
+} from '../src/transformers/lifecycle.js';
+
+const CREATED = '2023-01-01T00:00:00.000Z';
+const after = hours => new Date(new Date(CREATED).getTime() + hours * 3600000).toISOString();
+
+test('maps resolutions onto outcome labels', () => {
+  assert.equal(resolutionOutcome('Fixed'), 'Fixed');
+  assert.equal(resolutionOutcome(" Won't Do "), "Won't Fix");
+  assert.equal(resolutionOutcome('Works for Me'), 'Cannot Reproduce');
+  assert.equal(resolutionOutcome('Pending Closed'), null);
+  assert.equal(resolutionOutcome('pending closed', { 'Pending Closed': 'Fixed' }), 'Fixed');
+  assert.equal(resolutionOutcome(null), null);
+});
+
+test('buckets resolved issues by time to resolution', () => {
+  const bucket = hours => resolutionTimeBucket({ created_date: CREATED, resolved_date: after(hours) });
+
+  assert.equal(bucket(23), 'hours');
+  assert.equal(bucket(24), 'days');
+  assert.equal(bucket(24 * 8), 'weeks');
+  assert.equal(bucket(24 * 90), 'months');
+  assert.equal(hoursToResolution({ created_date: CREATED, resolved_date: after(-1) }), null);
+});
+
+test('labels open issues from the data, not the export date', () => {
+  const stale = { created_date: CREATED, updated_date: after(24 * 400), resolved_date: null };
+  const recent = { created_date: CREATED, updated_date: after(24 * 10), resolved_date: null };
+
+  assert.equal(resolutionTimeBucket(stale), 'never');
+  assert.equal(resolutionTimeBucket(recent), null);
+  assert.equal(resolutionTimeBucket(recent, { now: after(24 * 366) }), 'never');
+  assert.equal(resolutionTimeBucket(recent, { neverAfterDays: 7 }), 'never');
+  assert.equal(resolutionTimeBucket({ created_date: CREATED, resolved_date: null }), null);
+});
+
+test('detects issues resolved before the cutoff', () => {
+  const record = { created_date: CREATED, resolved_date: after(12) };
+
+  assert.equal(resolvedBeforeCutoff(record, 24), true);
+  assert.equal(resolvedBeforeCutoff(record, 6), false);
+  assert.equal(resolvedBeforeCutoff(record, 0), false);
+});
+
+test('rebuilds fields as they were at the cutoff', () => {
+  const record = {
+    summary: 'New summary',
+    description: 'New text',
+    issue_type: 'Bug',
+    priority: 'Blocker',
+    components: ['core', 'sql'],
+    labels: ['b']
+  };
+  const history = [
+    { created_date: after(1), item_index: 0, field: 'summary', from_string: 'Old summary' },
+    { created_date: after(2), item_index: 0, field: 'priority', from_string: 'Minor' },
+    { created_date: after(2), item_index: 1, field: 'priority', from_string: 'Major' },
+    { created_date: after(3), item_index: 0, field: 'Component', from_string: 'web', to_string: 'sql' },
+    { created_date: after(3), item_index: 1, field: 'labels', from_string: 'a b' },
+    { created_date: after(-1), item_index: 0, field: 'description', from_string: 'Before creation' }
+  ];
+
+  const fields = fieldsAtCutoff(record, history, new Date(CREATED));
+
+  assert.equal(fields.summary, 'Old summary');
+  assert.equal(fields.priority, 'Minor');
+  assert.equal(fields.description, 'New text');
+  assert.deepEqual(fields.components, ['core', 'web']);
+  assert.deepEqual(fields.labels, ['a', 'b']);
+  assert.deepEqual([...fields.restored].sort(), ['priority', 'summary']);
+  assert.deepEqual(fieldsAtCutoff(record, null, new Date(CREATED)).components, ['core', 'sql']);
+});
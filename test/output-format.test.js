@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutputFormat } from '../src/transformers/output-format.js';
+
+const record = {
+  type: 'classification',
+  metadata: { issue_key: 'K-1' },
+  instruction: 'Classify this issue.',
+  input: { summary: 'Crash on start', description: 'Line one\nLine two' },
+  output: { issue_type: 'Bug', labels: ['core'] }
+};
+
+const USER = 'Classify this issue.\n\nSummary: Crash on start\n\nDescription:\nLine one\nLine two';
+const ASSISTANT = '{\n  "issue_type": "Bug",\n  "labels": [\n    "core"\n  ]\n}';
+
+const multiTurn = {
+  type: 'qa',
+  instruction: 'Answer questions about K-1.',
+  context: 'Crash on start',
+  qa_pairs: [
+    { question: 'What fails?', answer: 'Startup' },
+    { question: 'Which versions?', answer: ['3.1', '3.2'] }
+  ]
+};
+
+test('raw keeps the record as it is', () => {
+  assert.equal(new OutputFormat().render(record), record);
+});
+
+test('messages puts the system prompt before one user and assistant turn', () => {
+  assert.deepEqual(new OutputFormat({ format: 'messages', systemPrompt: 'Be brief.' }).render(record), {
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: USER },
+      { role: 'assistant', content: ASSISTANT }
+    ]
+  });
+  assert.deepEqual(new OutputFormat({ format: 'messages', systemPrompt: '' }).render({ instruction: 'Hi', output: ['a', 'b'] }), {
+    messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: '- a\n- b' }]
+  });
+});
+
+test('sharegpt uses from/value pairs', () => {
+  assert.deepEqual(new OutputFormat({ format: 'sharegpt', systemPrompt: 'Be brief.' }).render(record), {
+    conversations: [
+      { from: 'system', value: 'Be brief.' },
+      { from: 'human', value: USER },
+      { from: 'gpt', value: ASSISTANT }
+    ]
+  });
+});
+
+test('alpaca keeps instruction and input apart for single turns', () => {
+  assert.deepEqual(new OutputFormat({ format: 'alpaca', systemPrompt: null }).render(record), {
+    instruction: 'Classify this issue.',
+    input: 'Summary: Crash on start\n\nDescription:\nLine one\nLine two',
+    output: ASSISTANT
+  });
+});
+
+test('multi-turn records become conversations and alpaca history', () => {
+  assert.deepEqual(new OutputFormat({ format: 'messages', systemPrompt: null }).render(multiTurn).messages, [
+    { role: 'user', content: 'Answer questions about K-1.\n\nCrash on start\n\nWhat fails?' },
+    { role: 'assistant', content: 'Startup' },
+    { role: 'user', content: 'Which versions?' },
+    { role: 'assistant', content: '- 3.1\n- 3.2' }
+  ]);
+
+  assert.deepEqual(new OutputFormat({ format: 'alpaca', systemPrompt: 'Be brief.' }).render(multiTurn), {
+    instruction: 'Which versions?',
+    input: '',
+    output: '- 3.1\n- 3.2',
+    system: 'Be brief.',
+    history: [['Answer questions about K-1.\n\nCrash on start\n\nWhat fails?', 'Startup']]
+  });
+});
+
+test('explicit turns are passed through', () => {
+  const turns = [{ role: 'user', content: 'Q' }, { role: 'assistant', content: 'A' }];
+  assert.deepEqual(new OutputFormat({ format: 'sharegpt', systemPrompt: null }).render({ turns }), {
+    conversations: [{ from: 'human', value: 'Q' }, { from: 'gpt', value: 'A' }]
+  });
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => new OutputFormat({ format: 'csv' }), /Unknown output format: csv/);
+});
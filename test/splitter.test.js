@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatasetSplitter, parseSplitSpec } from '../src/transformers/splitter.js';
+
+const SPEC = 'train:0.8,val:0.1,test:0.1';
+
+const issue = (index, project = 'SPARK', type = 'Bug') => ({
+  issue_key: `${project}-${index}`,
+  issue_type: type,
+  project: { project_key: project }
+});
+
+function assignAll(splitter, issues) {
+  splitter.begin(issues.length);
+  if (splitter.requiresPlan) issues.forEach(item => splitter.plan(item));
+  return Object.fromEntries(issues.map(item => [item.issue_key, splitter.assign(item)]));
+}
+
+test('parses split specs', () => {
+  assert.deepEqual(parseSplitSpec('train:0.9, test:0.1'), [{ name: 'train', ratio: 0.9 }, { name: 'test', ratio: 0.1 }]);
+  assert.throws(() => parseSplitSpec('train:0.9,test:0.2'), /add up to 1/);
+  assert.throws(() => parseSplitSpec('train:0.5,train:0.5'), /unique/);
+  assert.throws(() => parseSplitSpec('train'), /Invalid split/);
+});
+
+test('hash splits follow the ratios', () => {
+  const issues = Array.from({ length: 2000 }, (_, index) => issue(index));
+  const counts = {};
+
+  for (const split of Object.values(assignAll(new DatasetSplitter({ splits: SPEC }), issues))) {
+    counts[split] = (counts[split] || 0) + 1;
+  }
+
+  assert.ok(Math.abs(counts.train / 2000 - 0.8) < 0.05);
+  assert.ok(Math.abs(counts.test / 2000 - 0.1) < 0.05);
+});
+
+test('stratified splits do not depend on processing order', () => {
+  const issues = [
+    ...Array.from({ length: 30 }, (_, index) => issue(index, 'SPARK', index % 3 ? 'Bug' : 'Improvement')),
+    ...Array.from({ length: 5 }, (_, index) => issue(index, 'KAFKA', 'Task'))
+  ];
+  const stratified = () => new DatasetSplitter({ splits: SPEC, stratify: ['project', 'issue_type'] });
+
+  assert.deepEqual(assignAll(stratified(), [...issues].reverse()), assignAll(stratified(), issues));
+});
+
+test('a small stratum is split by the ratios', () => {
+  const issues = [
+    ...Array.from({ length: 200 }, (_, index) => issue(index)),
+    ...Array.from({ length: 10 }, (_, index) => issue(1000 + index, 'SPARK', 'Epic'))
+  ];
+  const assigned = assignAll(new DatasetSplitter({ splits: SPEC, stratify: ['issue_type'] }), issues);
+  const counts = type => {
+    const result = {};
+    issues.filter(item => item.issue_type === type).forEach(item => {
+      result[assigned[item.issue_key]] = (result[assigned[item.issue_key]] || 0) + 1;
+    });
+    return result;
+  };
+
+  assert.deepEqual(counts('Epic'), { train: 8, val: 1, test: 1 });
+  assert.deepEqual(counts('Bug'), { train: 160, val: 20, test: 20 });
+});
+
+test('unplanned issues fall back to the key hash', () => {
+  const splitter = new DatasetSplitter({ splits: SPEC, stratify: ['project'] });
+  const plain = new DatasetSplitter({ splits: SPEC });
+  splitter.plan(issue(1));
+
+  assert.equal(splitter.assign(issue(2)), plain.assign(issue(2)));
+});
+
+test('stratified splits count issues per stratum', () => {
+  const splitter = new DatasetSplitter({ splits: SPEC, stratify: ['project', 'issue_type'] });
+  assignAll(splitter, [issue(1), issue(2), issue(3, 'KAFKA', 'Task')]);
+
+  const total = counts => Object.values(counts).reduce((sum, count) => sum + count, 0);
+  assert.deepEqual(Object.keys(splitter.strata).sort(), ['KAFKA / Task', 'SPARK / Bug']);
+  assert.equal(total(splitter.strata['SPARK / Bug']), 2);
+  assert.equal(total(splitter.strata['KAFKA / Task']), 1);
+});
+
+test('group members share the split of the first member', () => {
+  const splitter = new DatasetSplitter({ splits: SPEC });
+  const first = splitter.assign(issue(1), 'cluster-1');
+
+  for (let index = 2; index < 50; index++) {
+    assert.equal(splitter.assign(issue(index), 'cluster-1'), first);
+  }
+});
+
+test('time splits put the newest issues last', () => {
+  const splitter = new DatasetSplitter({ splits: 'train:0.5,test:0.5', mode: 'time' });
+  const issues = Array.from({ length: 4 }, (_, index) => issue(index));
+
+  assert.deepEqual(Object.values(assignAll(splitter, issues)), ['train', 'train', 'test', 'test']);
+  assert.throws(() => new DatasetSplitter({ splits: SPEC, mode: 'time', stratify: ['project'] }), /not supported/);
+});
@@ -0,0 +1,152 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { translateStatement } from '../src/lib/sqlite.js';
+
+const require = createRequire(import.meta.url);
+
+function hasNodeSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const schemaInfo = () => ({ jsonColumns: {}, timestampColumns: {}, booleanColumns: {} });
+
+describe('translateStatement', () => {
+  test('rewrites column types, defaults and inline unique constraints', () => {
+    const schema = schemaInfo();
+    const [table, index] = translateStatement(
+      'CREATE TABLE IF NOT EXISTS things (id uuid PRIMARY KEY DEFAULT gen_random_uuid(), key text UNIQUE NOT NULL, ' +
+      "count integer DEFAULT 0, tags text[] DEFAULT ARRAY[]::text[], meta jsonb DEFAULT '{}'::jsonb, " +
+      'done boolean DEFAULT false, created_at timestamptz DEFAULT now())',
+      schema
+    );
+
+    assert.match(table, /^CREATE TABLE IF NOT EXISTS things \(id TEXT PRIMARY KEY DEFAULT \(lower\(hex/);
+    assert.match(table, /key TEXT NOT NULL, count INTEGER DEFAULT 0, tags TEXT DEFAULT '\[\]', meta TEXT DEFAULT '\{\}'/);
+    assert.match(table, /done INTEGER DEFAULT false, created_at TEXT DEFAULT \(strftime/);
+    assert.equal(index, 'CREATE UNIQUE INDEX IF NOT EXISTS things_key_key ON things(key)');
+    assert.deepEqual([...schema.jsonColumns.things], ['tags', 'meta']);
+    assert.deepEqual([...schema.booleanColumns.things], ['done']);
+    assert.deepEqual([...schema.timestampColumns.things], ['created_at']);
+  });
+
+  test('turns named unique constraints into droppable indexes', () => {
+    assert.deepEqual(
+      translateStatement('CREATE TABLE t (a text, b text, CONSTRAINT t_a_b_key UNIQUE (a, b))'),
+      ['CREATE TABLE IF NOT EXISTS t (a TEXT, b TEXT)', 'CREATE UNIQUE INDEX IF NOT EXISTS t_a_b_key ON t(a, b)']
+    );
+    assert.deepEqual(translateStatement('ALTER TABLE t ADD CONSTRAINT t_b_key UNIQUE (b)'), ['CREATE UNIQUE INDEX IF NOT EXISTS t_b_key ON t(b)']);
+    assert.deepEqual(translateStatement('ALTER TABLE t DROP CONSTRAINT IF EXISTS t_a_b_key'), ['DROP INDEX IF EXISTS t_a_b_key']);
+  });
+
+  test('skips columns that already exist and records their types', () => {
+    const schema = schemaInfo();
+
+    assert.deepEqual(translateStatement('ALTER TABLE t ADD COLUMN IF NOT EXISTS c jsonb', schema, () => true), []);
+    assert.deepEqual(translateStatement('ALTER TABLE t ADD COLUMN IF NOT EXISTS c jsonb', schema), ['ALTER TABLE t ADD COLUMN c TEXT']);
+    assert.ok(schema.jsonColumns.t.has('c'));
+  });
+
+  test('drops policies and row level security, rejects unknown statements', () => {
+    assert.deepEqual(translateStatement('CREATE POLICY "read" ON t FOR SELECT USING (true)'), []);
+    assert.deepEqual(translateStatement('ALTER TABLE t ENABLE ROW LEVEL SECURITY'), []);
+    assert.throws(() => translateStatement('CREATE FUNCTION f() RETURNS void'), /Unsupported migration statement/);
+  });
+});
+
+describe('SQLite backend', { skip: !hasNodeSqlite() && 'node:sqlite needs Node.js 22.13+' }, () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-sqlite-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const fakeIssue = (index, updated) => ({
+    key: `K-${index}`,
+    id: String(index),
+    fields: {
+      summary: `Issue ${index}`,
+      description: 'Fails in __init__',
+      issuetype: { name: 'Bug' },
+      status: { name: 'Open' },
+      priority: { name: 'Major' },
+      labels: ['a'],
+      created: '2024-01-01T00:00:00.000+0000',
+      updated,
+      comment: { total: 1, comments: [{ id: `c${index}`, author: { displayName: 'Hadoop QA' }, body: '-1 overall' }] }
+    }
+  });
+
+  // Each test gets its own database file.
+  async function createScraper(issues, name) {
+    const { JiraScraper } = await import('../src/services/scraper.js');
+    const storage = { backend: 'sqlite', path: path.join(dir, `${name}.db`) };
+    const scraper = new JiraScraper({ storage, source: { name: 'test', baseUrl: 'http://jira.invalid' }, batchSize: 2, includeChangelog: false });
+    const queries = [];
+
+    scraper.jiraClient.getProject = async () => ({ key: 'K', name: 'Kay', self: 'http://jira.invalid/K' });
+    scraper.jiraClient.getFields = async () => [];
+    scraper.jiraClient.getServerInfo = async () => ({ serverTime: '2024-01-01T00:00:00.000+0000' });
+    scraper.jiraClient.searchIssues = async (jql, startAt, max) => {
+      queries.push(jql);
+      const since = jql.match(/updated >= "([^"]+)"/)?.[1];
+      const matching = since
+        ? issues.filter(issue => issue.fields.updated.slice(0, 16).replace('T', ' ').replace(/-/g, '/') >= since)
+        : issues;
+      return { startAt, total: matching.length, issues: matching.slice(startAt, startAt + max) };
+    };
+
+    return { scraper, queries };
+  }
+
+  test('stores issues and reads them back with JSON, boolean and timestamp columns', async () => {
+    const { scraper } = await createScraper([fakeIssue(1, '2024-01-02T00:00:00.000+0000')], 'scrape');
+    await scraper.scrapeProject('K', false);
+
+    const exported = [];
+    for await (const issue of scraper.db.iterateIssuesForExport({ projectKey: 'K' })) {
+      exported.push(issue);
+    }
+
+    assert.equal(exported.length, 1);
+    assert.deepEqual(exported[0].labels, ['a']);
+    assert.equal(exported[0].description, 'Fails in __init__');
+    assert.equal(new Date(exported[0].created_date).toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(exported[0].comments[0].is_bot, true);
+    assert.equal(exported[0].comments[0].bot_kind, 'qa');
+  });
+
+  test('sync resumes from the stored watermark', async () => {
+    const issues = [
+      fakeIssue(2, '2024-02-01T10:00:00.000+0000'),
+      fakeIssue(3, '2024-02-01T10:05:00.000+0000'),
+      fakeIssue(4, '2024-02-01T10:10:00.000+0000')
+    ];
+    const { scraper, queries } = await createScraper(issues, 'sync');
+
+    const first = await scraper.syncProject('K');
+    assert.equal(first.totalIssues, 3);
+    assert.equal(first.watermark, '2024-02-01T10:10:00.000Z');
+
+    const state = await scraper.db.getScraperState('K');
+    assert.equal(state.status, 'completed');
+    assert.equal(new Date(state.last_updated_watermark).toISOString(), '2024-02-01T10:10:00.000Z');
+
+    queries.length = 0;
+    issues.push(fakeIssue(5, '2024-02-01T11:00:00.000+0000'));
+    const second = await scraper.syncProject('K');
+
+    assert.match(queries[0], /updated >= "2024\/02\/01 10:10"/);
+    assert.equal(second.watermark, '2024-02-01T11:00:00.000Z');
+  });
+});
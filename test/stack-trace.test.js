@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStackTraces, collapseStackTraces, formatStackTrace, wikiTraceText } from '../src/transformers/stack-trace.js';
+
+const JVM = [
+  '2024-01-01 10:00:00 ERROR Executor: Exception in task 0.0',
+  'org.apache.spark.SparkException: Job aborted',
+  '\tat org.apache.spark.scheduler.DAGScheduler.abort(DAGScheduler.scala:1234)',
+  '\tat org.apache.spark.SparkContext.runJob(SparkContext.scala:99)',
+  'Caused by: java.io.IOException: Disk full',
+  '\tat sun.nio.ch.FileDispatcherImpl.write0(Native Method)',
+  '\tat org.apache.hadoop.fs.Writer.write(Writer.java:42)',
+  '\t... 12 more'
+].join('\n');
+
+const PYTHON = [
+  'Traceback (most recent call last):',
+  '  File "app.py", line 3, in <module>',
+  '    main()',
+  '  File "lib/conf.py", line 10, in __init__',
+  '    self.value = int(raw)',
+  'ValueError: invalid literal',
+  '',
+  'During handling of the above exception, another exception occurred:',
+  '',
+  'Traceback (most recent call last):',
+  '  File "app.py", line 5, in <module>',
+  '    raise ConfigError()',
+  'conf.ConfigError: bad config'
+].join('\n');
+
+test('parses JVM traces with causes, native frames and omitted frames', () => {
+  const [trace] = parseStackTraces(JVM);
+
+  assert.equal(trace.language, 'jvm');
+  assert.equal(trace.exception, 'org.apache.spark.SparkException');
+  assert.equal(trace.message, 'Job aborted');
+  assert.deepEqual(trace.frames[0], {
+    class: 'org.apache.spark.scheduler.DAGScheduler',
+    method: 'abort',
+    file: 'DAGScheduler.scala',
+    line: 1234
+  });
+
+  const [cause] = trace.caused_by;
+  assert.equal(cause.exception, 'java.io.IOException');
+  assert.deepEqual(cause.frames[0], { class: 'sun.nio.ch.FileDispatcherImpl', method: 'write0', file: null, line: null });
+  assert.equal(cause.omitted_frames, 12);
+});
+
+test('parses chained Python tracebacks innermost first', () => {
+  const [trace] = parseStackTraces(PYTHON);
+
+  assert.equal(trace.language, 'python');
+  assert.equal(trace.exception, 'conf.ConfigError');
+  assert.equal(trace.caused_by[0].exception, 'ValueError');
+  assert.deepEqual(trace.caused_by[0].frames.map(frame => frame.method), ['__init__', '<module>']);
+});
+
+test('ignores text without frames', () => {
+  assert.deepEqual(parseStackTraces('java.lang.NullPointerException is thrown sometimes'), []);
+  assert.deepEqual(parseStackTraces(null), []);
+});
+
+test('reads traces from raw wiki code blocks with identifiers intact', () => {
+  const markup = `Fails on start:\n{code:python}\n${PYTHON}\n{code}\nand {noformat}${JVM}{noformat}`;
+  const traces = parseStackTraces(wikiTraceText(markup));
+
+  assert.deepEqual(traces.map(trace => trace.exception), ['conf.ConfigError', 'org.apache.spark.SparkException']);
+  assert.equal(traces[0].caused_by[0].frames[0].method, '__init__');
+});
+
+test('collapses frames beyond the limit', () => {
+  assert.equal(
+    collapseStackTraces(JVM, 1),
+    [
+      '2024-01-01 10:00:00 ERROR Executor: Exception in task 0.0',
+      'org.apache.spark.SparkException: Job aborted',
+      '\tat org.apache.spark.scheduler.DAGScheduler.abort(DAGScheduler.scala:1234)',
+      '\t... 1 frame collapsed',
+      'Caused by: java.io.IOException: Disk full',
+      '\tat sun.nio.ch.FileDispatcherImpl.write0(Native Method)',
+      '\t... 1 frame collapsed',
+      '\t... 12 more'
+    ].join('\n')
+  );
+
+  assert.match(collapseStackTraces(PYTHON, 1), /^Traceback \(most recent call last\):\n {2}\.\.\. 1 frame collapsed\n {2}File "lib\/conf.py", line 10, in __init__/);
+});
+
+test('formats traces in their own layout', () => {
+  const [jvm] = parseStackTraces(JVM);
+  assert.equal(
+    formatStackTrace(jvm, 1),
+    [
+      'org.apache.spark.SparkException: Job aborted',
+      '\tat org.apache.spark.scheduler.DAGScheduler.abort(DAGScheduler.scala:1234)',
+      '\t... 1 more',
+      'Caused by: java.io.IOException: Disk full',
+      '\tat sun.nio.ch.FileDispatcherImpl.write0(Unknown Source)',
+      '\t... 13 more'
+    ].join('\n')
+  );
+
+  const [python] = parseStackTraces(PYTHON);
+  assert.equal(
+    formatStackTrace(python),
+    [
+      'Traceback (most recent call last):',
+      '  File "app.py", line 3, in <module>',
+      '  File "lib/conf.py", line 10, in __init__',
+      'ValueError: invalid literal',
+      '',
+      'During handling of the above exception, another exception occurred:',
+      '',
+      'Traceback (most recent call last):',
+      '  File "app.py", line 5, in <module>',
+      'conf.ConfigError: bad config'
+    ].join('\n')
+  );
+});
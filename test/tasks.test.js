@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TaskRegistry, createTaskRegistry } from '../src/transformers/tasks/registry.js';
+import { createTemplateTask, renderTemplate } from '../src/transformers/tasks/template-task.js';
+
+const record = {
+  issue_key: 'K-1',
+  project_key: 'K',
+  summary: 'Crash on start',
+  issue_type: 'Bug',
+  labels: ['a', 'b'],
+  components: []
+};
+
+function context(options = {}) {
+  const formatter = {
+    contexts: 0,
+    budgetFor: () => 100,
+    buildIssueContext(item) {
+      this.contexts++;
+      return `Issue ${item.issue_key}`;
+    }
+  };
+  return { formatter, issue: { comments: [{ body: 'hi' }] }, options };
+}
+
+test('registers tasks and replaces ones with the same name', () => {
+  const registry = new TaskRegistry();
+  registry.register({ name: 'one', build: () => 'first' });
+  registry.register({ name: 'one', build: () => 'second', weight: 0.5 });
+
+  const task = registry.get('one');
+  assert.equal(task.build(), 'second');
+  assert.equal(task.weight, 0.5);
+  assert.deepEqual(task.requires, []);
+  assert.deepEqual(registry.names(), ['one']);
+});
+
+test('rejects malformed tasks and unknown names', () => {
+  const registry = new TaskRegistry();
+
+  assert.throws(() => registry.register({ name: 'x' }), /build\(\) function/);
+  assert.throws(() => registry.register({ name: 'x', build: () => null, weight: 2 }), /between 0 and 1/);
+  assert.throws(() => registry.get('missing'), /Unknown task: missing/);
+});
+
+test('renders templates with filters and keeps single placeholders typed', () => {
+  const scope = { ...record, description: 'A long description' };
+
+  assert.equal(renderTemplate('{{issue_key}}: {{summary|upper}} [{{labels|join:-}}]', scope), 'K-1: CRASH ON START [a-b]');
+  assert.equal(renderTemplate('{{description|truncate:6}}|{{missing|default:none}}', scope), 'A long|none');
+  assert.deepEqual(renderTemplate({ labels: '{{labels}}', nested: ['{{project_key}}'] }, scope), { labels: ['a', 'b'], nested: ['K'] });
+});
+
+test('template tasks check conditions and build records from one issue context', () => {
+  const task = createTemplateTask({
+    name: 'triage',
+    instruction: 'Triage {{issue_key}}',
+    input: '{{issue_context}}',
+    output: { type: '{{issue_type}}', comments: '{{comments.length}}' },
+    when: { issue_type: { in: ['Bug'] }, components: { exists: false } }
+  });
+  const ctx = context();
+
+  assert.equal(task.isEligible(record, ctx), true);
+  assert.deepEqual(task.build(record, ctx), {
+    type: 'triage',
+    metadata: { issue_key: 'K-1', project: 'K' },
+    instruction: 'Triage K-1',
+    input: 'Issue K-1',
+    output: { type: 'Bug', comments: 1 }
+  });
+  assert.equal(ctx.formatter.contexts, 1);
+  assert.equal(task.isEligible({ ...record, issue_type: 'Task' }, ctx), false);
+});
+
+test('template tasks reject unknown filters and conditions', () => {
+  const base = { name: 't', instruction: 'x', output: 'y' };
+
+  assert.throws(() => createTemplateTask({ name: 't', instruction: 'x' }), /require "name", "instruction" and "output"/);
+  assert.throws(() => createTemplateTask({ ...base, output: '{{summary|shout}}' }), /unknown template filter "shout"/);
+  assert.throws(() => createTemplateTask({ ...base, when: { summary: { like: 'x' } } }), /unknown condition "like"/);
+});
+
+test('loads template tasks and overrides from a task file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-tasks-'));
+  const file = path.join(dir, 'tasks.json');
+
+  try {
+    fs.writeFileSync(file, JSON.stringify({
+      tasks: [
+        { name: 'echo', instruction: 'Echo', output: '{{summary}}' },
+        { name: 'summary', weight: 0.25, instruction: 'Summarize briefly.' }
+      ]
+    }));
+
+    const registry = await createTaskRegistry(file);
+    assert.ok(registry.names().includes('echo'));
+    assert.equal(registry.get('summary').weight, 0.25);
+
+    fs.writeFileSync(file, JSON.stringify([{ weight: 1 }]));
+    await assert.rejects(createTaskRegistry(file), /need "module", "output" or the name/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
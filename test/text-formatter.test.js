@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextFormatter } from '../src/transformers/text-formatter.js';
+import { BUILTIN_TASKS } from '../src/transformers/tasks/builtin.js';
+
+const formatter = (options = {}) => new TextFormatter({ db: {}, redact: false, ...options });
+
+test('puts stats and reports next to the output file', () => {
+  const exporter = formatter();
+  const sidecar = (outputPath, suffix) => exporter.sidecarPath(outputPath, suffix);
+
+  assert.equal(sidecar('data/kafka_training.jsonl', '_stats.json'), 'data/kafka_training_stats.json');
+  assert.equal(sidecar('data.jsonl.d/out.jsonl', '_dedup_report.json'), 'data.jsonl.d/out_dedup_report.json');
+  assert.equal(sidecar('data/out', '_redaction_report.json'), 'data/out_redaction_report.json');
+  assert.equal(sidecar('data/out.train.jsonl', '_stats.json'), 'data/out.train_stats.json');
+});
+
+const baseRecord = fields => ({
+  issue_key: 'K-1',
+  project: 'Kay',
+  project_key: 'K',
+  issue_type: 'Bug',
+  priority: 'Major',
+  summary: 'Crash on start',
+  description: 'It crashes.',
+  resolution: 'Fixed',
+  versions: [],
+  fix_versions: [],
+  ...fields
+});
+
+test('fix-version records ask for the releases of the fix', () => {
+  const record = formatter().createFixVersionItem(baseRecord({ versions: ['3.1.0'], fix_versions: ['3.2.0', '4.0.0'] }));
+
+  assert.deepEqual(record, {
+    type: 'fix_version',
+    metadata: { issue_key: 'K-1', project: 'K', label: '3.2.0, 4.0.0', versions: ['3.1.0'] },
+    instruction: 'Which release(s) will the fix for this issue land in?',
+    input: 'Issue: K-1\nProject: Kay\nType: Bug\nPriority: Major\nAffects versions: 3.1.0\n\nSummary: Crash on start\n\nDescription:\nIt crashes.',
+    output: { fix_versions: ['3.2.0', '4.0.0'] }
+  });
+});
+
+test('release notes group a release\'s fixed issues by type', () => {
+  const exporter = formatter();
+  const task = BUILTIN_TASKS.find(item => item.name === 'release_notes');
+  const issue = (index, type, fields = {}) =>
+    baseRecord({ issue_key: `K-${index}`, issue_type: type, summary: `Change ${index}`, fix_versions: ['1.0'], ...fields });
+
+  [
+    issue(10, 'Bug'),
+    issue(2, 'Improvement'),
+    issue(3, 'Bug', { fix_versions: ['1.0', '2.0'] }),
+    issue(4, 'Wish'),
+    issue(5, 'Bug', { resolution: "Won't Fix" }),
+    issue(6, 'Bug', { fix_versions: ['3.0'] })
+  ].forEach(record => assert.equal(task.build(record, { formatter: exporter }), null));
+
+  const records = task.finish({ formatter: exporter, options: { minIssues: 2, maxIssues: 3 } });
+
+  assert.equal(records.length, 1);
+  assert.deepEqual(records[0].metadata, { project: 'K', version: '1.0', group_key: 'release:K:1.0', issue_count: 4 });
+  assert.equal(records[0].input, 'K-2 (Improvement): Change 2\nK-3 (Bug): Change 3\nK-4 (Wish): Change 4');
+  assert.equal(records[0].output, '## Kay 1.0\n\n### Improvement\n- K-2: Change 2\n\n### Bug\n- K-3: Change 3\n\n### Wish\n- K-4: Change 4');
+});
+
+test('thread replies turn the thread so far into turns ending with the maintainer reply', () => {
+  const record = baseRecord({ reporter: 'Ann', assignee: 'Bob', status_transitions: [] });
+  const comment = (index, author, body) => ({ comment_id: `c${index}`, author, body, is_bot: false });
+  const comments = [
+    comment(1, 'Carol', 'Same here on 3.1.'),
+    comment(2, 'Bob', 'This comes from the config loader reading an empty file; a fix is on the way.'),
+    comment(3, 'Jenkins', 'FAILURE: Integrated in build #1'),
+    comment(4, 'Bob', 'The patch also covers the case where the file is missing entirely.'),
+    comment(5, 'Bob', '+1, thanks')
+  ];
+  comments[2].is_bot = true;
+
+  const records = formatter().createThreadReplyItems(record, comments, { minReplyLength: 40 });
+
+  assert.deepEqual(records.map(item => item.metadata.comment_id), ['c2', 'c4']);
+  assert.deepEqual(records[0].turns, [
+    {
+      role: 'user',
+      content: 'You are a maintainer of this project. Given the issue thread so far, write the next maintainer reply.\n\n' +
+        'reporter opened K-1 (Bug, Major): Crash on start\n\nIt crashes.\n\nparticipant 1: Same here on 3.1.'
+    },
+    { role: 'assistant', content: comments[1].body }
+  ]);
+  assert.deepEqual(records[1].turns.slice(1).map(turn => [turn.role, turn.content]), [
+    ['assistant', `assignee: ${comments[1].body}`],
+    ['user', 'automated: FAILURE: Integrated in build #1'],
+    ['assistant', comments[3].body]
+  ]);
+  assert.deepEqual(records[1].metadata, {
+    issue_key: 'K-1',
+    project: 'K',
+    comment_id: 'c4',
+    position: 3,
+    context_comments: 3,
+    reply_role: 'assignee'
+  });
+});
+
+test('thread replies keep a stable pick of a long thread\'s replies', () => {
+  const record = baseRecord({ reporter: 'Ann', assignee: null, status_transitions: [{ author: 'Bob' }] });
+  const comments = Array.from({ length: 8 }, (_, index) => ({
+    comment_id: `c${index}`,
+    author: 'Bob',
+    body: `Reply number ${index} explains one more detail of the fix in enough words.`,
+    is_bot: false
+  }));
+
+  const pick = () => formatter().createThreadReplyItems(record, comments, { maxRepliesPerIssue: 3 }).map(item => item.metadata.position);
+  const picked = pick();
+
+  assert.equal(picked.length, 3);
+  assert.deepEqual(picked, [...picked].sort((a, b) => a - b));
+  assert.deepEqual(pick(), picked);
+  assert.equal(formatter().createThreadReplyItems(record, comments, {})[1].turns.at(-2).content, 'Continue as maintainer.');
+});
+
+test('reply candidates skip short, quoted and low-value replies', () => {
+  const exporter = formatter();
+
+  assert.equal(exporter.isReplyCandidate('LGTM, thanks for the patch and the careful tests!'), false);
+  assert.equal(exporter.isReplyCandidate('Too short.'), false);
+  assert.equal(exporter.isReplyCandidate('> quoted line one that is long enough\n> quoted line two that is long\nok'), false);
+  assert.equal(exporter.isReplyCandidate('The loader should check the file size before parsing it.'), true);
+});
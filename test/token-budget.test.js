@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBudget, TRUNCATION_MARKER, approximateTokens, loadTokenizer } from '../src/transformers/token-budget.js';
+
+// One token per character keeps the boundaries easy to reason about.
+const budget = () => new TokenBudget({ countTokens: text => text.length });
+
+test('approximates four characters per token', async () => {
+  assert.equal(approximateTokens('abcd'), 1);
+  assert.equal(approximateTokens('abcde'), 2);
+  assert.equal(approximateTokens(''), 0);
+  assert.equal(await loadTokenizer('approx'), approximateTokens);
+});
+
+test('leaves text exactly at the budget alone', () => {
+  const tokens = budget();
+  const text = 'x'.repeat(40);
+
+  assert.equal(tokens.truncate(text, 40), text);
+  assert.equal(new TokenBudget().truncate('abcd'.repeat(10), 10), 'abcd'.repeat(10));
+  assert.equal(tokens.truncations, 0);
+});
+
+test('cuts text one token over the budget at a boundary', () => {
+  const tokens = budget();
+  const text = 'First sentence. Second sentence here.';
+  const truncated = tokens.truncate(`${text}x`, text.length);
+
+  assert.equal(truncated, `First sentence.\n${TRUNCATION_MARKER}`);
+  assert.ok(truncated.length <= text.length);
+  assert.equal(tokens.truncations, 1);
+  assert.ok(new TokenBudget().truncate('abcd'.repeat(10) + 'a', 10).endsWith(TRUNCATION_MARKER));
+});
+
+test('prefers paragraph ends and closes code blocks cut mid-way', () => {
+  const tokens = budget();
+
+  assert.equal(
+    tokens.truncate('Para one is here.\n\nPara two. Is longer than the rest of it', 40),
+    `Para one is here.\n${TRUNCATION_MARKER}`
+  );
+  assert.equal(
+    tokens.truncate('```\nline one\nline two\nline three\n```', 35),
+    `\`\`\`\nline one\n\`\`\`\n${TRUNCATION_MARKER}`
+  );
+  assert.equal(tokens.truncate('too long for anything', 5), TRUNCATION_MARKER);
+});
+
+test('chunks items into windows that repeat the overlap', () => {
+  const tokens = budget();
+  const items = ['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee'];
+
+  assert.deepEqual(tokens.chunk(items, 12), [['aaaa', 'bbbb', 'cccc'], ['dddd', 'eeee']]);
+  assert.deepEqual(tokens.chunk(items, 12, 1), [['aaaa', 'bbbb', 'cccc'], ['cccc', 'dddd', 'eeee']]);
+  assert.deepEqual(tokens.chunk(items, 12, 2), [
+    ['aaaa', 'bbbb', 'cccc'],
+    ['bbbb', 'cccc', 'dddd'],
+    ['cccc', 'dddd', 'eeee']
+  ]);
+  assert.deepEqual(tokens.chunk(items, 4, 3), items.map(item => [item]));
+});
+
+test('gives an item over the budget a window of its own', () => {
+  assert.deepEqual(budget().chunk(['aa', 'b'.repeat(20), 'cc'], 10), [['aa'], ['b'.repeat(20)], ['cc']]);
+  assert.deepEqual(budget().chunk([], 10), []);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WikiMarkupConverter } from '../src/transformers/wiki-markup.js';
+
+const converter = new WikiMarkupConverter();
+const convert = markup => converter.convert(markup);
+
+test('converts headings and nested lists', () => {
+  assert.equal(convert('h2. Title\n* one\n** two\n# first'), '## Title\n\n- one\n  - two\n1. first');
+});
+
+test('keeps code and noformat bodies verbatim', () => {
+  assert.equal(convert('{code:java}\nif (a_b_c) { x(); }\n{code}'), '```java\nif (a_b_c) { x(); }\n```');
+  assert.equal(convert('{noformat}\n*not bold*\n{noformat}'), '```\n*not bold*\n```');
+  assert.equal(convert('{code}\nunclosed'), '```\nunclosed\n```');
+});
+
+test('converts tables with links in cells', () => {
+  assert.equal(
+    convert('||a||b||\n|1|[link|http://x.org]|'),
+    '| a | b |\n| --- | --- |\n| 1 | [link](http://x.org) |'
+  );
+});
+
+test('converts mentions, monospace, bare links and images', () => {
+  assert.equal(
+    convert('See [~jdoe] and [~accountid:123] {{conf.key}} [http://a.b/c] !shot.png!'),
+    'See @jdoe and @123 `conf.key` <http://a.b/c> ![shot.png](shot.png)'
+  );
+});
+
+test('converts quotes, citations and forced line breaks', () => {
+  assert.equal(convert('{quote}quoted _x_{quote}'), '> quoted *x*');
+  assert.equal(convert('line\\\\next ??cite??'), 'line\nnext *cite*');
+});
+
+test('converts inline emphasis at word edges', () => {
+  assert.equal(convert('*bold* and -strike- and +under+'), '**bold** and ~~strike~~ and under');
+  assert.equal(convert('a _italic_ word (_a_)'), 'a *italic* word (*a*)');
+});
+
+test('leaves identifiers with doubled or inner delimiters alone', () => {
+  for (const text of [
+    'call __init__ and __name__ here',
+    '__init__',
+    'File "a.py", line 3, in __init__',
+    'my_var_name and _foo__',
+    'use --conf-x-',
+    '**x**'
+  ]) {
+    assert.equal(convert(text), text);
+  }
+});